@@ -9,7 +9,7 @@ const [command, filePath, ...rest] = rawArgs;
 
 if (command !== 'analyze' || !filePath) {
     console.error(
-        'Usage: mini-inject analyze <file> [--format=text|json] [--export=<name>] [--no-header]',
+        'Usage: mini-inject analyze <file> [--format=text|json] [--export=<name>] [--no-header] [--observed] [--parents]',
     );
     process.exit(1);
 }
@@ -27,6 +27,8 @@ const flags = Object.fromEntries(
 const format = flags.format || 'text';
 const exportName = flags.export || null;
 const header = !flags['no-header'];
+const observed = Boolean(flags.observed);
+const parents = Boolean(flags.parents);
 
 if (format !== 'text' && format !== 'json') {
     console.error(`Unknown format "${format}". Use --format=text or --format=json.`);
@@ -96,8 +98,8 @@ if (!di) {
 // ─── Output ───────────────────────────────────────────────────────────────────
 
 if (format === 'json') {
-    const graph = di.getDependencyGraph();
+    const graph = di.getDependencyGraph({observed, parents});
     process.stdout.write(JSON.stringify(graph, null, 2) + '\n');
 } else {
-    process.stdout.write(di.formatDependencyGraph({header}) + '\n');
+    process.stdout.write(di.formatDependencyGraph({header, observed, parents}) + '\n');
 }
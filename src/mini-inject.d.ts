@@ -1,11 +1,54 @@
+/// <reference lib="esnext.disposable" />
+
 declare const _tokenSymbol: unique symbol;
 declare const _containerSymbol: unique symbol;
+declare const _optionalSymbol: unique symbol;
+declare const _lazySymbol: unique symbol;
+declare const _providerSymbol: unique symbol;
+declare const _paramSymbol: unique symbol;
+declare const _namedSymbol: unique symbol;
+declare const _taggedSymbol: unique symbol;
 
 export type ClassType = (Function | Object) & { name: string };
 export type ClassConstructor<T> = ClassType & { new(...args: any): T };
 export type Injectable<T> = ClassConstructor<T> | string | Symbol;
-export type InjectableOrToken<T> = Injectable<T> | Token<T>;
-export type AnyInjectable<T> = Injectable<T> | Token<T> | Container<T>;
+export type InjectableOrToken<T> = Injectable<T> | Token<T> | DINamed<T>;
+export type AnyInjectable<T> = Injectable<T> | Token<T> | Container<T> | DINamed<T>;
+
+/**
+ * Wraps an instance created by a binding. Receives the instance and the DI module that created it,
+ * and returns the value to cache and inject instead.
+ */
+export type Decorator<T> = (instance: T, di: DI) => T;
+
+/** The method call seen by interceptor hooks. */
+export interface InvocationContext<T = any> {
+  /** The intercepted instance (not the proxy). */
+  instance: T;
+  /** Name of the called method. */
+  method: string | symbol;
+  /** Call arguments. Replace them in `before` or `around` to change what the method receives. */
+  args: unknown[];
+  /** Return value (awaited for async methods), set before `after` runs. `after` may replace it. */
+  result?: unknown;
+  /** The thrown error (or rejection reason), set before `onError` runs. */
+  error?: unknown;
+}
+
+/**
+ * Hooks run around the method calls of an intercepted instance. Every hook is optional, but at
+ * least one must be given. Hooks are synchronous, except `around` which may return a promise.
+ */
+export interface Interceptor<T = any> {
+  /** Runs before the call. Throwing prevents the call (e.g. authorization). */
+  before?(context: InvocationContext<T>): void;
+  /** Runs after a successful call, once async methods have resolved. */
+  after?(context: InvocationContext<T>): void;
+  /** Runs when the call throws or rejects. The error is rethrown afterwards. */
+  onError?(context: InvocationContext<T>): void;
+  /** Replaces the call: `proceed()` runs the next interceptor (or the method) with `context.args`, and may be called again to retry. */
+  around?(context: InvocationContext<T>, proceed: () => any): unknown;
+}
 
 /** Resolves the underlying type of an injectable parameter */
 export type ResolveInjectable<I, Fallback = any> =
@@ -13,6 +56,8 @@ export type ResolveInjectable<I, Fallback = any> =
   ? T[]
   : I extends Token<infer T>
   ? T
+  : I extends DINamed<infer T>
+  ? T
   : I extends ClassConstructor<infer T>
   ? T
   : Fallback;
@@ -25,8 +70,99 @@ export type Dependency =
   | string
   | Symbol
   | DILiteral<any>
-  | DIFactory<any>;
-export type BindingFunc<T> = (di: DI) => T;
+  | DIFactory<any>
+  | DIOptional<any>
+  | DILazy<any>
+  | DIProvider<any>
+  | DIParam<any>
+  | DINamed<any>
+  | DITagged<any>;
+/**
+ * Call-site values given to `create(injectable, params)`; a binding function receives them as its second
+ * argument (an empty object when `create` is called without params, `undefined` when resolved with `get`).
+ */
+export type CreateParams = Readonly<Record<string, unknown>>;
+export type BindingFunc<T> = (di: DI, params?: CreateParams) => T;
+/** A binding function which needs to `await` before returning the instance. Resolve it with `getAsync`. */
+export type AsyncBindingFunc<T> = (di: DI, params?: CreateParams) => Promise<T>;
+/** Resolves each injectable of a tuple to the type of its instance. */
+export type ResolveInjectables<I extends readonly unknown[]> = {
+  [K in keyof I]: ResolveInjectable<I[K]>;
+};
+
+/**
+ * How long a bound instance lives:
+ * - `"singleton"` — one instance, cached in the `DI` instance that owns the binding (default)
+ * - `"transient"` — a new instance on every resolution
+ * - `"fork"` — one instance per `DI` instance resolving it: each `fork()` of the module owning the
+ *   binding lazily creates, caches and (on `clear()`/`dispose()`) disposes its own instance
+ */
+export type Lifetime = "singleton" | "transient" | "fork";
+
+/** Options accepted by `bind`. */
+export interface BindOptions {
+  /** Shorthand for `scope: "singleton"` (`true`, default) or `scope: "transient"` (`false`). */
+  isSingleton?: boolean;
+  /**
+   * Defers instantiation until the first property access (Proxy). Breaks circular dependencies.
+   * Ignored when `autoResolveCircularDependencies` is enabled.
+   */
+  lateResolve?: boolean;
+  /** Create the instance immediately when the binding is registered. Only applies to `"singleton"` bindings. */
+  eager?: boolean;
+  /**
+   * The lifetime of the instance; takes precedence over `isSingleton`.
+   * `"fork"` is not supported for container items, which are always singletons or transients:
+   * binding one with `"fork"` throws an `InvalidBindingError`.
+   */
+  scope?: Lifetime;
+  /**
+   * Registers the binding under a qualified key (displayed as `X#name`) instead of the injectable
+   * itself, so one injectable can have several bindings. Request it with `di.named(X, name)`.
+   */
+  name?: string;
+  /**
+   * Labels to resolve the binding as part of a group with `di.getTagged(tag)` or `di.tagged(tag)`.
+   * Not supported for container items.
+   */
+  tags?: string[];
+  /**
+   * Makes this a contextual binding, used instead of the regular binding of the same key when the
+   * condition matches. A key can have several contextual bindings, tried in registration order,
+   * and binding again for the same consumer (or predicate) replaces the previous one.
+   * Can not be combined with containers, `scope: "fork"`, `eager` or `tags`.
+   */
+  when?: BindingCondition;
+  /**
+   * The keys a custom binding function resolves through the DI it receives, shown as its
+   * dependencies in the dependency graph and checked by `validate()`. Only for binding functions: dependency arrays declare them already.
+   * Outside of production (`NODE_ENV`), the container warns once per key when the function
+   * resolves a key that is not listed.
+   */
+  deps?: Exclude<Dependency, DILiteral<any> | DIFactory<any> | DIParam<any>>[];
+}
+
+/**
+ * Condition of a contextual binding:
+ * - `{injectedInto: X}` matches when the binding is a dependency of `X` (aliases in between are skipped).
+ * - A predicate receives the keys of the bindings being resolved, outermost first, in the same form
+ *   as `DIError.path`. It is `[]` for a direct `get`.
+ *
+ * The resolution path only exists while resolving: `di.lazy(X)` and `di.provider(X)` resolve `X`
+ * later and get the regular binding.
+ */
+export type BindingCondition =
+  | { injectedInto: AnyInjectable<any> }
+  | ((path: BindingKey[]) => boolean);
+
+/** Binding details returned by `getBinding`. */
+export interface BindingInfo<T> {
+  isSingleton: boolean;
+  lateResolve: boolean;
+  eager: boolean;
+  scope: Lifetime;
+  resolveFunction: (di: DI) => T;
+}
 
 // ─── Dependency graph ────────────────────────────────────────────────────────
 
@@ -34,20 +170,83 @@ export type BindingFunc<T> = (di: DI) => T;
 export type DepDescriptor =
   | { type: "injectable"; key: string }
   | { type: "literal"; value: unknown }
-  | { type: "factory"; name: string | null };
+  | { type: "factory"; name: string | null }
+  | { type: "optional"; key: string; defaultValue: unknown }
+  | { type: "lazy"; key: string }
+  | { type: "provider"; key: string }
+  | { type: "param"; name: string }
+  | { type: "alias"; key: string }
+  | { type: "tagged"; tag: string };
+
+/**
+ * How a graph edge was declared: `"injectable"` for a plain dependency, `"optional"` for
+ * `di.optional(X)`, `"lazy"` for `di.lazy(X)`, `"provider"` for `di.provider(X)` and
+ * `"alias"` for the edge from a `di.alias(From, To)` key to its target and `"tagged"` for
+ * `di.tagged(tag)`, which has an edge to every node with the tag. `"observed"` edges were not
+ * declared: a custom factory function requested the key at runtime (`getDependencyGraph({observed: true})`).
+ * Optional edges to unbound keys are left out of the graph.
+ */
+export type GraphEdgeType = "injectable" | "optional" | "lazy" | "provider" | "alias" | "tagged" | "observed";
 
 /**
  * A node in the dependency graph — one per binding registered in the DI module.
  * Nodes whose binding was declared with a custom factory function have `deps: null`
- * because the dependencies cannot be statically determined.
+ * because the dependencies cannot be statically determined, unless the binding lists them
+ * with the `deps` bind option.
  */
 export interface GraphNode {
-  /** Human-readable display key (class name, string key, or `Token<description>`). */
+  /**
+   * Human-readable display key (class name, string key, or `Token<description>`).
+   * Distinct keys sharing a display name get an `@2`, `@3`, ... suffix.
+   */
   key: string;
   isSingleton: boolean;
+  /**
+   * Lifetime of the binding. Containers are reported as `"transient"`.
+   * Aliases report the lifetime of their target.
+   */
+  scope: Lifetime;
   lateResolve: boolean;
   /** `true` when the binding originates from an attached sub-module. */
   isSubModule: boolean;
+  /**
+   * The container the binding comes from, with the `parents` option only: the module the graph
+   * was built for (`"fork"`, or `"root"` when it has no parent), one of its sub-modules, or a fork
+   * parent (and its sub-modules).
+   */
+  origin?: "fork" | "root" | "sub-module" | "parent";
+  /**
+   * `true` for a fork parent binding overridden closer to the module, with the `parents` option
+   * only. Its key is suffixed with ` (shadowed)` and it has no edges, since it is never resolved.
+   * It is otherwise described like any other node (decorators, tags, contextual `when`...).
+   */
+  shadowed?: true;
+  /** Display key of the target when the node was registered with `di.alias(From, To)`. */
+  aliasOf?: string;
+  /**
+   * Display key of the bound key when the node is a contextual binding (`when` bind option).
+   * The node key then reads `"Logger (in BillingService)"` or `"Logger (when predicateName)"`,
+   * and `"Logger (when #2)"` for the second contextual binding of `Logger` when its predicate is anonymous.
+   */
+  contextOf?: string;
+  /**
+   * Condition of a contextual binding: the display key of the consumer, or the predicate's
+   * function name (`null` when anonymous, including inline `{ when: (path) => ... }` arrows, which
+   * are only named after the property). Edges from that consumer point at this node.
+   */
+  when?: { injectedInto: string } | { predicate: string | null };
+  /**
+   * Function names of the decorators registered with `di.decorate(X, ...)`, in the order they
+   * are applied (`null` for anonymous functions). Absent when the binding has no decorators.
+   */
+  decorators?: Array<string | null>;
+  /** The `tags` bind option of the binding. Absent when the binding has no tags. */
+  tags?: string[];
+  /**
+   * Display keys a custom factory function requested while it ran, in `observed` mode only.
+   * Absent when not in `observed` mode, when nothing was recorded, or for dependency arrays.
+   */
+  observed?: string[];
   /**
    * Dependency descriptors for each position in the binding's dependency list.
    * `null` means the binding was declared with a custom factory function and the
@@ -60,8 +259,49 @@ export interface GraphNode {
 export interface GraphEdge {
   from: string;
   to: string;
+  type: GraphEdgeType;
   /** `true` when this edge is part of at least one circular-dependency cycle. */
   isCircular: boolean;
+  /** `true` when `to` has no node: the dependency is not bound. Absent otherwise. */
+  isMissing?: true;
+  /**
+   * `true` when `to` has no node because it is bound on a fork parent, which the graph of a fork
+   * leaves out without the `parents` option. Absent otherwise.
+   */
+  isInherited?: true;
+}
+
+/**
+ * A dependency without a binding, also kept in `edges` with `isMissing: true`.
+ * Optional dependencies, observed keys and keys bound with a `when` predicate are never reported.
+ */
+export interface GraphMissingDependency {
+  /** Display key of the consumer. */
+  from: string;
+  /** Display key of the unbound dependency. */
+  to: string;
+  type: GraphEdgeType;
+  /** Human-readable summary, e.g. `"Repo" depends on "Pool", which is not bound`. */
+  message: string;
+}
+
+/**
+ * A lifetime problem found while analyzing the graph.
+ *
+ * `"captive-dependency"`: a singleton depends on a transient or fork-scoped binding and
+ * would keep the first instance it received forever. Container dependencies count as
+ * transient when at least one of their items is transient.
+ */
+export interface GraphWarning {
+  type: "captive-dependency";
+  /** Display key of the singleton consumer. */
+  from: string;
+  /** Display key of the captured dependency. */
+  to: string;
+  fromScope: "singleton";
+  toScope: "transient" | "fork";
+  /** Human-readable summary, e.g. `singleton "Service" captures transient "Request"`. */
+  message: string;
 }
 
 /** Full dependency graph returned by `DI.getDependencyGraph()`. */
@@ -73,17 +313,97 @@ export interface DependencyGraph {
    * the end to make the loop explicit, e.g. `["A", "B", "A"]`.
    */
   cycles: string[][];
+  /** Lifetime problems such as captive dependencies. Empty when none were found. */
+  warnings: GraphWarning[];
+  /** Dependencies without a binding, in edge order. Empty when every dependency is bound. */
+  missing: GraphMissingDependency[];
+}
+
+/** Options for `getDependencyGraph`. */
+export interface DependencyGraphOptions {
+  /**
+   * When `true`, the keys that custom factory functions requested (with `get`, `getAll`, `getAsync`,
+   * `getResolver` or `create`) the last time they ran are added to their nodes as `observed`,
+   * and as `"observed"` edges. Bindings that never ran have nothing to report. Default `false`.
+   */
+  observed?: boolean;
+  /**
+   * When `true`, the bindings of fork parents are added, so a fork's dependencies on them have
+   * nodes. Every node gets an `origin`, and parent bindings the fork overrides are kept as
+   * `shadowed` nodes. Default `false`: edges to parent bindings are flagged `isInherited`.
+   */
+  parents?: boolean;
+}
+
+/**
+ * A problem found by `validate()`. `key` is the display key of the binding it was found in.
+ *
+ * - `"missing-binding"`: a dependency (or the target of an alias) has no binding.
+ *   Optional dependencies are never missing.
+ * - `"invalid-dependency"`: entry `index` of the dependency array is not an injectable or marker,
+ *   e.g. `undefined` from a circular import.
+ * - `"circular-dependency"`: a cycle no `lateResolve` singleton (or, in
+ *   `autoResolveCircularDependencies` mode, no singleton) can break.
+ */
+export type ValidationIssue =
+  | { type: "missing-binding"; key: string; dependency: string; message: string }
+  | { type: "invalid-dependency"; key: string; index: number; message: string }
+  | {
+      type: "circular-dependency";
+      /** Display keys with the first one repeated at the end, as in `DependencyGraph.cycles`. */
+      cycle: string[];
+      message: string;
+    };
+
+/** Result of `validate()`. */
+export interface ValidationReport {
+  /** `true` when `issues` is empty. */
+  valid: boolean;
+  issues: ValidationIssue[];
+}
+
+/** Options for `validate`. */
+export interface ValidateOptions {
+  /** Throw a `ValidationError` listing the issues instead of returning an invalid report. Default `false`. */
+  throwOnError?: boolean;
 }
 
 /** Options for `formatDependencyGraph`. */
-export interface FormatGraphOptions {
+export interface FormatGraphOptions extends DependencyGraphOptions {
   /**
-   * When `true` (default), a title line and a cycles summary section are
-   * included in the output. Pass `false` to get rows only.
+   * When `true` (default), a title line and the cycles and warnings summary sections
+   * are included in the output. Pass `false` to get rows only.
    */
   header?: boolean;
 }
 
+// ─── Disposal ────────────────────────────────────────────────────────────────
+
+/** Options for `dispose`. */
+export interface DisposeOptions {
+  /**
+   * Milliseconds to wait for each instance's `dispose()`/`close()` to settle before reporting it
+   * as failed and moving on. Defaults to `5000`; pass `Infinity` to wait indefinitely.
+   */
+  timeout?: number;
+}
+
+/** A single failure collected while disposing. */
+export interface DisposeFailure {
+  /** Display key of the binding whose instance failed to dispose. */
+  key: string;
+  /** The error thrown (or the rejection reason / timeout error). */
+  error: unknown;
+}
+
+/** Report returned by `dispose`. */
+export interface DisposeReport {
+  /** Display keys of the instances successfully disposed, in disposal order. */
+  disposed: string[];
+  /** Instances whose `dispose()`/`close()` threw, rejected or timed out. */
+  errors: DisposeFailure[];
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
@@ -93,13 +413,25 @@ export interface FormatGraphOptions {
  * - `Token<T>` — a typed Token wrapping a binding of type `T`
  * - `DILiteral<T>` — a literal value of type `T` (use `di.literal(value)` or `DI.literal(value)`)
  * - `DIFactory<T>` — a factory function returning `T` (use `di.factory(fn)` or `DI.factory(fn)`)
- * - `string` / `Symbol` — named binding escape hatches; type-unsafe per position but always accepted
+ * - `DIOptional<T>` — an injectable that may be unbound (use `di.optional(X, defaultValue?)`); `T` includes the default
+ * - `DILazy<T>` — an injectable resolved on first access (use `di.lazy(X)`)
+ * - `DIProvider<R>` — a function resolving the injectable on each call (use `di.provider(X)`), for `T = (params?) => R`
+ * - `DIParam<T>` — a call-site value given to `create` (use `di.param(name)`)
+ * - `DINamed<T>` — a named binding of type `T` (use `di.named(X, name)`)
+ * - `DITagged<E>` — the instances of every binding with a tag, for `T = E[]` (use `di.tagged(tag)`)
+ * - `string` / `Symbol` — binding key escape hatches; type-unsafe per position but always accepted
  */
 export type DependencyFor<T> =
   | (T extends object ? ClassConstructor<T> : never)
   | Token<T>
   | DILiteral<T>
   | DIFactory<T>
+  | DIOptional<T>
+  | DILazy<T>
+  | (T extends (...args: any[]) => infer R ? DIProvider<R> : never)
+  | DIParam<T>
+  | DINamed<T>
+  | (T extends readonly (infer E)[] ? DITagged<E> : never)
   | string
   | Symbol;
 
@@ -380,6 +712,259 @@ export class DIFactory<T> {
   get(di: DIGetter): T;
 }
 
+/**
+ * A dependency which is injected only when its injectable is bound (in this module, a sub-module
+ * or a fork parent); `defaultValue` (or `undefined`) is injected otherwise.
+ * Create it with `di.optional(X, defaultValue?)` or `DI.optional(X, defaultValue?)`.
+ *
+ * Errors raised while resolving a bound optional dependency are not swallowed.
+ *
+ * @example
+ * ```javascript
+ * class Service {
+ *  constructor(logger, retries) {
+ *   this.logger = logger;
+ *   this.retries = retries;
+ *  }
+ * }
+ *
+ * const di = new DI();
+ * di.bind(Service, [di.optional(Logger), di.optional('retries', 3)]);
+ *
+ * const service = di.get(Service);
+ * console.log(service.logger);  // undefined, Logger is not bound
+ * console.log(service.retries); // 3
+ * ```
+ */
+export class DIOptional<T> {
+  declare readonly [_optionalSymbol]: T;
+  private constructor(injectable: AnyInjectable<any>, defaultValue?: unknown);
+
+  readonly injectable: AnyInjectable<any>;
+  readonly defaultValue: unknown;
+}
+
+/**
+ * A dependency injected as a lazy `Proxy`: the injectable is resolved (with `get`, from the module
+ * resolving the consumer) on the first property access, then every access goes to that instance.
+ * Create it with `di.lazy(X)` or `DI.lazy(X)`.
+ *
+ * Unlike `lateResolve`, this is chosen per dependency and works whether or not there is a cycle.
+ * `instanceof` checks on the proxy work before resolution for class and Token injectables.
+ * Resolution errors surface on first access.
+ *
+ * @example
+ * ```javascript
+ * class Reports {
+ *  constructor(renderer) {
+ *   this.renderer = renderer; // PdfRenderer is not constructed yet
+ *  }
+ *
+ *  print() {
+ *   return this.renderer.render(); // constructed here, on first use
+ *  }
+ * }
+ *
+ * const di = new DI();
+ * di.bind(PdfRenderer, []);
+ * di.bind(Reports, [di.lazy(PdfRenderer)]);
+ * ```
+ */
+export class DILazy<T> {
+  declare readonly [_lazySymbol]: T;
+  private constructor(injectable: AnyInjectable<any>);
+
+  readonly injectable: AnyInjectable<any>;
+}
+
+/**
+ * A dependency injected as a zero-argument function which calls `get` for the injectable on every
+ * call, against the module which resolved the consumer (the fork, for fork-scoped and transient consumers).
+ * Create it with `di.provider(X)` or `DI.provider(X)`.
+ *
+ * Called with a params object, the function calls `create(X, params)` instead, which makes it a
+ * factory for bindings declaring `di.param(name)` placeholders.
+ *
+ * This is the way for a long-lived singleton to get a new transient instance each time. The graph
+ * shows it as a `"provider"` edge, which never raises a captive-dependency warning.
+ *
+ * @example
+ * ```javascript
+ * class Server {
+ *  constructor(newRequest) {
+ *   this.newRequest = newRequest;
+ *  }
+ *
+ *  handle() {
+ *   const request = this.newRequest(); // a new Request on every call
+ *  }
+ * }
+ *
+ * const di = new DI();
+ * di.bind(Request, [], { scope: "transient" });
+ * di.bind(Server, [di.provider(Request)]);
+ * ```
+ */
+export class DIProvider<T> {
+  declare readonly [_providerSymbol]: T;
+  private constructor(injectable: AnyInjectable<any>);
+
+  readonly injectable: AnyInjectable<any>;
+}
+
+/** The function injected for `di.provider(X)`. */
+export type Provider<T> = (params?: CreateParams) => T;
+
+/**
+ * A placeholder in a dependency array which is filled at call time with `params[name]` from
+ * `create(X, params)` (or a provider called with params), while the other dependencies are
+ * resolved from the container. Create it with `di.param(name)` or `DI.param(name)`.
+ *
+ * Resolving the binding without the param (with `get`, or `create` without that key) throws a
+ * `ResolutionError` with code `ERR_DI_MISSING_PARAM`.
+ *
+ * @example
+ * ```javascript
+ * class Exporter {
+ *  constructor(logger, storage, reportId) {
+ *   this.logger = logger;
+ *   this.storage = storage;
+ *   this.reportId = reportId;
+ *  }
+ * }
+ *
+ * const di = new DI();
+ * di.bind(Exporter, [Logger, Storage, di.param('reportId')]);
+ *
+ * const exporter = di.create(Exporter, { reportId: 42 });
+ * ```
+ */
+export class DIParam<T> {
+  declare readonly [_paramSymbol]: T;
+  private constructor(name: string);
+
+  readonly name: string;
+}
+
+/**
+ * A named binding of an injectable, created with `di.named(X, name)`: a binding registered with
+ * `bind(X, deps, {name})`. It is accepted wherever a binding key is, including dependency arrays,
+ * `get`, `has`, `getBinding` and `unbind`, and is displayed as `X#name`.
+ *
+ * @example
+ * ```javascript
+ * const di = new DI();
+ * di.bind(Cache, [], { name: 'sessions' });
+ * di.bind(SessionStore, [di.named(Cache, 'sessions')]);
+ *
+ * di.get(di.named(Cache, 'sessions'));
+ * ```
+ */
+export class DINamed<T> {
+  declare readonly [_namedSymbol]: T;
+  private constructor(injectable: AnyInjectable<T>, name: string);
+
+  readonly injectable: AnyInjectable<T>;
+  readonly name: string;
+}
+
+/**
+ * Injects the instances of every binding registered with the tag (`bind(X, deps, {tags: [tag]})`),
+ * like `di.getTagged(tag)`. Created with `di.tagged(tag)`; `T` is the type of one instance.
+ *
+ * @example
+ * ```javascript
+ * const di = new DI();
+ * di.bind(DbCheck, [], { tags: ['healthcheck'] });
+ * di.bind(CacheCheck, [], { tags: ['healthcheck'] });
+ * di.bind(HealthEndpoint, [di.tagged('healthcheck')]); // new HealthEndpoint([dbCheck, cacheCheck])
+ * ```
+ */
+export class DITagged<T> {
+  declare readonly [_taggedSymbol]: T;
+  private constructor(tag: string);
+
+  readonly tag: string;
+}
+
+// ─── Errors ──────────────────────────────────────────────────────────────────
+
+/** Raw binding key as stored by the container: a string, a Symbol (also used for Tokens and Containers) or a class/function. */
+export type BindingKey = string | symbol | Function;
+
+/** Codes carried by `DIError.code`. */
+export type DIErrorCode =
+  | "ERR_DI_MISSING_BINDING"
+  | "ERR_DI_CIRCULAR_DEPENDENCY"
+  | "ERR_DI_INVALID_BINDING"
+  | "ERR_DI_RESOLUTION_FAILED"
+  | "ERR_DI_CAPTIVE_DEPENDENCY"
+  | "ERR_DI_MISSING_PARAM"
+  | "ERR_DI_VALIDATION_FAILED";
+
+/**
+ * Base class of every error thrown by mini-inject. Branch on the subclass or on `code`
+ * instead of matching messages.
+ *
+ * @example
+ * ```javascript
+ * try {
+ *   di.get(App);
+ * } catch (err) {
+ *   if (err instanceof MissingBindingError) {
+ *     console.log(err.key);  // the key without a binding, e.g. PaymentClient
+ *     console.log(err.path); // [App, OrderService, PaymentClient]
+ *   }
+ * }
+ * ```
+ */
+export class DIError extends Error {
+  protected constructor(message: string, details: { code: DIErrorCode; key?: BindingKey; path?: BindingKey[]; cause?: unknown });
+
+  readonly code: DIErrorCode;
+  /** The requested key (Tokens and Containers are reported by their symbol). */
+  readonly key: BindingKey | undefined;
+  /**
+   * Keys being resolved when the error occurred, outermost first and ending with `key`.
+   * Container items are reported by their container key.
+   */
+  readonly path: BindingKey[];
+}
+
+/**
+ * Thrown by `get`/`getAsync` when no binding (and no fallback) exists for the requested key. Code `ERR_DI_MISSING_BINDING`.
+ * The message suggests the closest bound keys, or points out a same-named Token, Container or class bound as a different instance.
+ */
+export class MissingBindingError extends DIError {
+  readonly code: "ERR_DI_MISSING_BINDING";
+}
+
+/** Thrown when a key is requested again while it is still being resolved. Code `ERR_DI_CIRCULAR_DEPENDENCY`. */
+export class CircularDependencyError extends DIError {
+  readonly code: "ERR_DI_CIRCULAR_DEPENDENCY";
+}
+
+/** Thrown by `bind` (or when building a key) for invalid arguments, e.g. an unknown `scope`. Code `ERR_DI_INVALID_BINDING`. */
+export class InvalidBindingError extends DIError {
+  readonly code: "ERR_DI_INVALID_BINDING";
+}
+
+/**
+ * Thrown when a binding exists but can not be resolved. Code `ERR_DI_RESOLUTION_FAILED` when a
+ * binding function or constructor threw (the original exception is the `cause`, see `wrapErrors`),
+ * `ERR_DI_CAPTIVE_DEPENDENCY` for captive dependencies rejected by `strictLifetimes`, or
+ * `ERR_DI_MISSING_PARAM` when a `di.param(name)` placeholder was not given a value.
+ */
+export class ResolutionError extends DIError {
+  readonly code: "ERR_DI_RESOLUTION_FAILED" | "ERR_DI_CAPTIVE_DEPENDENCY" | "ERR_DI_MISSING_PARAM";
+}
+
+/** Thrown by `validate({ throwOnError: true })`; the message lists every issue. */
+export class ValidationError extends DIError {
+  readonly code: "ERR_DI_VALIDATION_FAILED";
+  readonly issues: ValidationIssue[];
+}
+
 /**
  * Minimalistic class for dependency injection
  */
@@ -452,6 +1037,94 @@ export class DI {
    */
   static factory<T>(fn: (di: DIGetter) => T): DIFactory<T>;
 
+  /**
+   * Create a dependency which is injected only when `injectable` is bound, so a dependency array can
+   * declare optional collaborators without falling back to a hand-written factory.
+   * When unbound, `defaultValue` (or `undefined`) is injected instead. The dependency graph shows it
+   * as an `"optional"` edge which is left out when the key is unbound.
+   * @param injectable the injectable to resolve when bound
+   * @param defaultValue optional; the value injected when `injectable` is not bound
+   * @returns the `optional` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Service, [DI.optional(Logger), DI.optional('retries', 3)]); // generates (di) => new Service(di.get(Logger, undefined), di.get('retries', 3))
+   * ```
+   */
+  static optional<I extends AnyInjectable<any>>(injectable: I): DIOptional<ResolveInjectable<I> | undefined>;
+  static optional<I extends AnyInjectable<any>, D>(injectable: I, defaultValue: D): DIOptional<ResolveInjectable<I> | D>;
+
+  /**
+   * Create a dependency which is injected as a lazy `Proxy`, resolving `injectable` only on the first
+   * property access. Useful for expensive, rarely-used services which should not be constructed at startup.
+   * The dependency graph shows it as a `"lazy"` edge.
+   * @param injectable the injectable to resolve on first access
+   * @returns the `lazy` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Reports, [DI.lazy(PdfRenderer)]); // PdfRenderer is constructed on the first use of reports.renderer
+   * ```
+   */
+  static lazy<I extends AnyInjectable<any>>(injectable: I): DILazy<ResolveInjectable<I>>;
+
+  /**
+   * Create a dependency which is injected as a zero-argument function calling `get(injectable)` on
+   * every call, against the module which resolved the consumer. The dependency graph shows it as a
+   * `"provider"` edge.
+   * @param injectable the injectable to resolve on each call
+   * @returns the `provider` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Server, [DI.provider(Request)]); // generates (di) => new Server(() => di.get(Request))
+   * ```
+   */
+  static provider<I extends AnyInjectable<any>>(injectable: I): DIProvider<ResolveInjectable<I>>;
+
+  /**
+   * Create a placeholder which is filled at call time with `params[name]` from `create(X, params)`.
+   * The other dependencies of the array are resolved from the container as usual.
+   * @param name the key of the value in the params object
+   * @returns the `param` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Exporter, [Logger, DI.param('reportId')]); // generates (di, params) => new Exporter(di.get(Logger), params.reportId)
+   * ```
+   */
+  static param<T = any>(name: string): DIParam<T>;
+
+  /**
+   * Refer to the binding registered with `bind(injectable, deps, {name})`.
+   * The same injectable and name always refer to the same binding.
+   * @param injectable the injectable the named binding was registered for
+   * @param name the `name` bind option
+   * @returns the `named` wrapper object
+   * @throws InvalidBindingError when `name` is not a non-empty string
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Cache, [DI.literal(3600)], { name: 'sessions' });
+   * di.bind(SessionStore, [DI.named(Cache, 'sessions')]); // generates (di) => new SessionStore(di.get(DI.named(Cache, 'sessions')))
+   * ```
+   */
+  static named<I extends AnyInjectable<any>>(injectable: I, name: string): DINamed<ResolveInjectable<I>>;
+
+  /**
+   * Create a dependency injecting the instances of every binding tagged with `tag`, in the order of
+   * `getTagged`. It is an empty array when no binding has the tag.
+   * @param tag a tag given to the `tags` bind option
+   * @returns the `tagged` wrapper object
+   * @throws InvalidBindingError when `tag` is not a non-empty string
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(HealthEndpoint, [DI.tagged('healthcheck')]); // generates (di) => new HealthEndpoint(di.getTagged('healthcheck'))
+   * ```
+   */
+  static tagged<T = any>(tag: string): DITagged<T>;
+
   /**
    * Create a Token instance for binding injectables.
    * Tokens are useful for having more control on how injectables are binded.
@@ -598,6 +1271,94 @@ export class DI {
    */
   factory<T>(fn: (di: DIGetter) => T): DIFactory<T>;
 
+  /**
+   * Create a dependency which is injected only when `injectable` is bound, so a dependency array can
+   * declare optional collaborators without falling back to a hand-written factory.
+   * When unbound, `defaultValue` (or `undefined`) is injected instead. The dependency graph shows it
+   * as an `"optional"` edge which is left out when the key is unbound.
+   * @param injectable the injectable to resolve when bound
+   * @param defaultValue optional; the value injected when `injectable` is not bound
+   * @returns the `optional` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Service, [di.optional(Logger), di.optional('retries', 3)]); // generates (di) => new Service(di.get(Logger, undefined), di.get('retries', 3))
+   * ```
+   */
+  optional<I extends AnyInjectable<any>>(injectable: I): DIOptional<ResolveInjectable<I> | undefined>;
+  optional<I extends AnyInjectable<any>, D>(injectable: I, defaultValue: D): DIOptional<ResolveInjectable<I> | D>;
+
+  /**
+   * Create a dependency which is injected as a lazy `Proxy`, resolving `injectable` only on the first
+   * property access. Useful for expensive, rarely-used services which should not be constructed at startup.
+   * The dependency graph shows it as a `"lazy"` edge.
+   * @param injectable the injectable to resolve on first access
+   * @returns the `lazy` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Reports, [di.lazy(PdfRenderer)]); // PdfRenderer is constructed on the first use of reports.renderer
+   * ```
+   */
+  lazy<I extends AnyInjectable<any>>(injectable: I): DILazy<ResolveInjectable<I>>;
+
+  /**
+   * Create a dependency which is injected as a zero-argument function calling `get(injectable)` on
+   * every call, against the module which resolved the consumer. The dependency graph shows it as a
+   * `"provider"` edge.
+   * @param injectable the injectable to resolve on each call
+   * @returns the `provider` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Server, [di.provider(Request)]); // generates (di) => new Server(() => di.get(Request))
+   * ```
+   */
+  provider<I extends AnyInjectable<any>>(injectable: I): DIProvider<ResolveInjectable<I>>;
+
+  /**
+   * Create a placeholder which is filled at call time with `params[name]` from `create(X, params)`.
+   * The other dependencies of the array are resolved from the container as usual.
+   * @param name the key of the value in the params object
+   * @returns the `param` wrapper object
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Exporter, [Logger, di.param('reportId')]); // generates (di, params) => new Exporter(di.get(Logger), params.reportId)
+   * ```
+   */
+  param<T = any>(name: string): DIParam<T>;
+
+  /**
+   * Refer to the binding registered with `bind(injectable, deps, {name})`.
+   * The same injectable and name always refer to the same binding.
+   * @param injectable the injectable the named binding was registered for
+   * @param name the `name` bind option
+   * @returns the `named` wrapper object
+   * @throws InvalidBindingError when `name` is not a non-empty string
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Cache, [DI.literal(3600)], { name: 'sessions' });
+   * di.bind(SessionStore, [DI.named(Cache, 'sessions')]); // generates (di) => new SessionStore(di.get(DI.named(Cache, 'sessions')))
+   * ```
+   */
+  named<I extends AnyInjectable<any>>(injectable: I, name: string): DINamed<ResolveInjectable<I>>;
+
+  /**
+   * Create a dependency injecting the instances of every binding tagged with `tag`, in the order of
+   * `getTagged`. It is an empty array when no binding has the tag.
+   * @param tag a tag given to the `tags` bind option
+   * @returns the `tagged` wrapper object
+   * @throws InvalidBindingError when `tag` is not a non-empty string
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(HealthEndpoint, [di.tagged('healthcheck')]); // generates (di) => new HealthEndpoint(di.getTagged('healthcheck'))
+   * ```
+   */
+  tagged<T = any>(tag: string): DITagged<T>;
+
   /**
    * Create a Token instance for binding injectables.
    * Tokens are useful for having more control on how injectables are binded.
@@ -696,7 +1457,7 @@ export class DI {
   static getBinding<T>(
     injectable: InjectableOrToken<T>,
   ):
-    | { isSingleton: boolean; lateResolve: boolean; resolveFunction: () => T }
+    | BindingInfo<T>
   /**
    * Get the bindings for the container if available otherwise return undefined
    * Each binding consists of its parameters and a resolving function for returning the instance
@@ -706,7 +1467,7 @@ export class DI {
    */
   static getBinding<T>(
     container: Container<T>,
-  ): { isSingleton: boolean; lateResolve: boolean; resolveFunction: () => T }[];
+  ): BindingInfo<T>[];
   /**
    * Check if the module has a binding for an injectable
    * @param injectable an injectable class or a string key-value used for the binding
@@ -725,6 +1486,9 @@ export class DI {
    * 3. **Neither** — if a cycle is encountered, `get()` throws immediately with a descriptive error that lists the
    *    full dependency chain (e.g. `"Circular dependency detected: A → B → A"`) and instructions on how to fix it.
    *
+   * Proxies can only stand in for singletons: a cycle made of transient bindings only throws the same
+   * descriptive error in every mode instead of overflowing the stack.
+   *
    * @param injectable an injectable class or a string key-value used for the binding
    * @returns an instance of T
    *
@@ -1140,6 +1904,30 @@ export class DI {
       T15,
       ...unknown[],
     ];
+  /**
+   * Get the instances of every tagged binding from the global (or current context) DI.
+   * @see DI.prototype.getTagged
+   */
+  static getTagged<T = any>(tag: string): T[];
+  /**
+   * Validate the global (or current context) DI.
+   * @see DI.prototype.validate
+   */
+  static validate(opts?: ValidateOptions): ValidationReport;
+  /**
+   * Get an instance from the global (or current context) DI, awaiting async bindings.
+   * @see DI.prototype.getAsync
+   */
+  static getAsync<T>(injectable: InjectableOrToken<T>): Promise<T>;
+  static getAsync<T, F>(injectable: InjectableOrToken<T>, fallbackToValue: F): Promise<T | F>;
+  static getAsync<T>(container: Container<T>, fallbackToEmptyList?: boolean): Promise<T[]>;
+  /**
+   * Get multiple instances from the global (or current context) DI, awaiting async bindings.
+   * @see DI.prototype.getAllAsync
+   */
+  static getAllAsync<I extends AnyInjectable<any>[]>(
+    ...injectables: [...I]
+  ): Promise<ResolveInjectables<I>>;
   /**
    * Get an object with a method to get an instance of the class binding
    * @param injectable an injectable class or a string key-value used for the binding
@@ -1152,6 +1940,11 @@ export class DI {
    * @returns an object that resolves to an array of instances of T
    */
   static getResolver<T>(container: Container<T>): DIResolver<T[]>;
+  /**
+   * Create a new instance with call-site params from the global (or current context) DI.
+   * @see DI.prototype.create
+   */
+  static create<T>(injectable: InjectableOrToken<T>, params?: CreateParams): T;
   /**
    * Bind a class or another constructable object so it can be fetched later.
    * The binding method is generated automatically from the injectable and array of dependencies.
@@ -1166,13 +1959,20 @@ export class DI {
    * - A `Token<T>` wrapping the expected type
    * - `DI.literal(value)` / `di.literal(value)` — a `DILiteral<T>` with matching value type
    * - `DI.factory(fn)` / `di.factory(fn)` — a `DIFactory<T>` returning the expected type
-   * - A `string` or `Symbol` named binding (escape hatch — accepted in every slot but type-unsafe)
+   * - `DI.optional(X, default?)` / `di.optional(X, default?)` — a `DIOptional<T>`, for parameters accepting `undefined` or the default
+   * - `DI.lazy(X)` / `di.lazy(X)` — a `DILazy<T>` resolved on first access
+   * - `DI.provider(X)` / `di.provider(X)` — a `DIProvider<R>`, for parameters typed `(params?) => R`
+   * - `DI.param(name)` / `di.param(name)` — a `DIParam<T>` filled by `create(X, params)`
+   * - `DI.named(X, name)` / `di.named(X, name)` — a `DINamed<T>` for a binding registered with `{name}`
+   * - `DI.tagged(tag)` / `di.tagged(tag)` — a `DITagged<E>` injecting every tagged binding, for parameters typed `E[]`
+   * - A `string` or `Symbol` key (escape hatch — accepted in every slot but type-unsafe)
    *
    * @param injectable a constructable class whose constructor parameter types drive the dependency check
    * @param dependencies a tuple of dependencies, one per constructor parameter, in the same order
    * @param opts.isSingleton optional; `true` by default
    * @param opts.lateResolve optional; defers instantiation until first property access (Proxy). Ignored in auto mode.
    * @param opts.eager optional; if true, the instance is created immediately when the binding is registered.
+   * @param opts.scope optional; `"singleton"` (default), `"transient"` or `"fork"` (one instance per fork). Takes precedence over `isSingleton`.
    * @returns this
    *
    * @example
@@ -1190,7 +1990,7 @@ export class DI {
   static bind<T extends object, Args extends readonly unknown[]>(
     injectable: (new (...args: [...Args]) => T) | Token<T>,
     dependencies: DependenciesFor<Args>,
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean }
+    opts?: BindOptions
   ): this
   /**
    * Bind an injectable to a Container. The container will append this binding to its internal array.
@@ -1215,8 +2015,8 @@ export class DI {
    */
   static bind<T>(
     container: Container<T>,
-    dependency: DependencyFor<T> | BindingFunc<T>,
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean }
+    dependency: DependencyFor<T> | BindingFunc<T> | AsyncBindingFunc<T>,
+    opts?: BindOptions
   ): this;
   /**
    * Bind a class or another constructable object so it can be fetched later
@@ -1232,6 +2032,7 @@ export class DI {
    * **Note:** this flag is silently ignored when `autoResolveCircularDependencies` is enabled (globally or on this instance) —
    * in that mode cycles are detected automatically and only the binding actually caught in the cycle receives a Proxy.
    * @param opts.eager optional; if true, the instance is created immediately when the binding is registered.
+   * @param opts.scope optional; `"singleton"` (default), `"transient"` or `"fork"` (one instance per fork). Takes precedence over `isSingleton`.
    * @returns this
    *
    * @example
@@ -1255,7 +2056,7 @@ export class DI {
   static bind<T>(
     injectable: ClassConstructor<T> | Token<T>,
     dependencies: Dependency[],
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean }
+    opts?: BindOptions
   ): this;
   /**
    * Bind a class or another constructable object so it can be fetched later
@@ -1268,6 +2069,7 @@ export class DI {
    * **Note:** this flag is silently ignored when `autoResolveCircularDependencies` is enabled (globally or on this instance) —
    * in that mode cycles are detected automatically and only the binding actually caught in the cycle receives a Proxy.
    * @param opts.eager optional; if true, the instance is created immediately when the binding is registered.
+   * @param opts.scope optional; `"singleton"` (default), `"transient"` or `"fork"` (one instance per fork). Takes precedence over `isSingleton`.
    * @returns this
    *
    * @example
@@ -1290,8 +2092,8 @@ export class DI {
    */
   static bind<T>(
     injectable: InjectableOrToken<T>,
-    func: BindingFunc<T>,
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean }
+    func: BindingFunc<T> | AsyncBindingFunc<T>,
+    opts?: BindOptions
   ): this;
   /**
    * Bind a class or another constructable object so it can be fetched later
@@ -1322,7 +2124,7 @@ export class DI {
   static bind<T>(injectable: ClassConstructor<T> | Token<T>): this;
   /**
    * Remove the binding (and its cached singleton instance, if any) for a single injectable.
-   * If the cached instance exposes a `dispose()` method, it is called before the instance
+   * If the cached instance exposes a `dispose()` method (or `[Symbol.dispose]()` / `[Symbol.asyncDispose]()`), it is called before the instance
    * is removed from the container — giving it a chance to release resources (timers, connections, etc.).
    * Errors thrown by `dispose()` are silently ignored.
    *
@@ -1349,11 +2151,34 @@ export class DI {
    * ```
    */
   static unbind<T>(injectable: AnyInjectable<T>): this;
+  /**
+   * Alias a key to another binding in the global (or current context) DI.
+   * @see DI.prototype.alias
+   */
+  static alias<T>(from: AnyInjectable<T>, to: AnyInjectable<T>): DI;
+  /**
+   * Decorate a binding of the global (or current context) DI.
+   * @see DI.prototype.decorate
+   */
+  static decorate<T>(injectable: InjectableOrToken<T>, decorator: Decorator<T>): DI;
+  /**
+   * Intercept the method calls of a binding of the global (or current context) DI.
+   * @see DI.prototype.intercept
+   */
+  static intercept<T>(injectable: InjectableOrToken<T>, interceptor: Interceptor<T>): DI;
+  static intercept(target: { readonly tag: string }, interceptor: Interceptor): DI;
+  /**
+   * Remove an interceptor from the global (or current context) DI.
+   * @see DI.prototype.removeInterceptor
+   */
+  static removeInterceptor<T>(injectable: InjectableOrToken<T>, interceptor: Interceptor<T>): DI;
+  static removeInterceptor(target: { readonly tag: string }, interceptor: Interceptor): DI;
   /**
    * Clears all containers, bindings, and sub-modules from this DI instance.
    * This method also recursively clears all sub-modules.
-   * Before removing each cached singleton instance, `dispose()` is called on it if the method
-   * exists — giving services a chance to release resources (timers, connections, etc.).
+   * Before removing each cached singleton instance, `dispose()` (or `[Symbol.dispose]()` /
+   * `[Symbol.asyncDispose]()`) is called on it if the method exists — giving services a chance
+   * to release resources (timers, connections, etc.). Returned promises are not awaited, use `dispose()` for that.
    * Errors thrown by `dispose()` are silently ignored.
    * After calling clear(), the DI instance will be in a clean state as if it was just created.
    * @returns void
@@ -1378,6 +2203,12 @@ export class DI {
    */
   static clear(): void;
 
+  /**
+   * Dispose the global (or current context) DI.
+   * @see DI.prototype.dispose
+   */
+  static dispose(opts?: DisposeOptions): Promise<DisposeReport>;
+
   /**
    * Enable or disable automatic circular-dependency resolution for **this** `DI` instance.
    *
@@ -1415,27 +2246,104 @@ export class DI {
    */
   autoResolveCircularDependencies(enabled: boolean): this;
 
+  /**
+   * Enable or disable strict lifetime checks on this instance.
+   *
+   * A singleton that depends on a transient or fork-scoped binding keeps the first
+   * instance it received forever (a "captive dependency"). With strict mode on, such a
+   * resolution throws instead. The check runs when either the consumer's or the
+   * dependency's module is strict, so it also covers sub-modules and fork parents.
+   * Forks created after the call inherit the setting. Binding functions only throw for the
+   * dependencies they declare with the `deps` bind option, since they may not keep what they resolve.
+   *
+   * `getDependencyGraph()` reports the same problems as `warnings` without resolving anything.
+   *
+   * Returns `this` to allow chaining.
+   *
+   * @param enabled pass `true` to throw on captive dependencies, `false` (default) to allow them
+   * @returns this
+   * @example
+   * ```javascript
+   * class Request {}
+   * class Service { constructor(request) { this.request = request; } }
+   *
+   * const di = new DI().strictLifetimes(true);
+   * di.bind(Request, [], { scope: "transient" });
+   * di.bind(Service, [Request]);
+   *
+   * di.get(Service); // throws: Captive dependency detected: singleton "Service" depends on transient "Request"...
+   * ```
+   */
+  strictLifetimes(enabled: boolean): this;
+
+  /**
+   * Enable or disable wrapping of exceptions thrown by binding functions and constructors.
+   *
+   * When enabled (the default), a failure deep in the tree surfaces as a `ResolutionError` whose
+   * message lists the resolution path and whose `cause` is the original exception. Errors raised
+   * by mini-inject itself (`DIError` subclasses) are never wrapped again. Disable wrapping on hot
+   * paths to rethrow the original exceptions untouched. Forks created after the call inherit the setting.
+   *
+   * Returns `this` to allow chaining.
+   *
+   * @param enabled pass `false` to rethrow factory exceptions as-is, `true` (default) to wrap them
+   * @returns this
+   * @example
+   * ```javascript
+   * class PaymentClient { constructor() { throw new Error('connection refused'); } }
+   * class OrderService { constructor(client) { this.client = client; } }
+   *
+   * const di = new DI();
+   * di.bind(PaymentClient, []);
+   * di.bind(OrderService, [PaymentClient]);
+   *
+   * di.get(OrderService);
+   * // ResolutionError: Failed to resolve OrderService → PaymentClient: connection refused
+   * // error.cause is the original Error
+   *
+   * di.wrapErrors(false);
+   * di.get(OrderService); // Error: connection refused
+   * ```
+   */
+  wrapErrors(enabled: boolean): this;
+
   /**
    * Build a dependency graph for this DI module (and any attached sub-modules).
    *
    * Bindings declared with an array of dependencies are fully described.
    * Bindings declared with a custom factory function have `deps: null` because
-   * the dependencies cannot be statically determined at analysis time.
+   * the dependencies cannot be statically determined at analysis time, unless they are
+   * listed with the `deps` bind option.
+   * Factories record the keys they request while running, though: pass `{ observed: true }`
+   * to add those to the graph as `observed` node keys and `"observed"` edges.
    *
    * The graph can be serialized directly with `JSON.stringify` for JSON output.
+   * @param opts Optional graph options (e.g. `{ observed: true }`).
+   *
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(Pool, []);
+   * di.bind(Repo, (di) => new Repo(di.get(Pool)));
+   *
+   * di.get(Repo);
+   * di.getDependencyGraph({ observed: true }).edges;
+   * // [{ from: 'Repo', to: 'Pool', type: 'observed', isCircular: false }]
+   * ```
    */
-  getDependencyGraph(): DependencyGraph;
+  getDependencyGraph(opts?: DependencyGraphOptions): DependencyGraph;
 
   /**
    * Build a dependency graph for the given DI module.
    * Convenience static wrapper around the instance method.
    * @param di The DI instance to analyze.
+   * @param opts Optional graph options (e.g. `{ observed: true }`).
    */
-  static getDependencyGraph(di: DI): DependencyGraph;
+  static getDependencyGraph(di: DI, opts?: DependencyGraphOptions): DependencyGraph;
 
   /**
    * Render the dependency graph of this module as a human-readable text report.
-   * @param opts Optional formatting options (e.g. `{ header: false }`).
+   * @param opts Optional formatting options (e.g. `{ header: false }`), and the graph options.
    */
   formatDependencyGraph(opts?: FormatGraphOptions): string;
 
@@ -1451,6 +2359,32 @@ export class DI {
     opts?: FormatGraphOptions,
   ): string;
 
+  /**
+   * Check the whole module up-front instead of on the first `get` of each consumer.
+   *
+   * Every binding reachable from this module (sub-modules and fork parents included) is checked
+   * without instantiating anything: dependencies and alias targets without a binding (contextual
+   * bindings are matched against their consumer), invalid dependency-array entries, and cycles
+   * that neither `lateResolve` nor `autoResolveCircularDependencies` can break. Lazy and provider
+   * dependencies resolve after their consumer, so they never close a cycle.
+   *
+   * Bindings declared with a function are only checked through their `deps` bind option.
+   *
+   * @param opts Optional validation options.
+   * @throws ValidationError with `{ throwOnError: true }` when issues were found
+   * @example
+   * ```javascript
+   * di.bind(Repo, [Pool]);
+   *
+   * di.validate();
+   * // { valid: false, issues: [{ type: 'missing-binding', key: 'Repo', dependency: 'Pool', message: '...' }] }
+   *
+   * // At startup
+   * di.validate({ throwOnError: true });
+   * ```
+   */
+  validate(opts?: ValidateOptions): ValidationReport;
+
   /**
    * Get the binding for the injectable if available otherwise return undefined
    * The binding consists of its parameters and a resolving function for returning the instance
@@ -1461,7 +2395,7 @@ export class DI {
   getBinding<T>(
     injectable: InjectableOrToken<T>,
   ):
-    | { isSingleton: boolean; lateResolve: boolean; resolveFunction: () => T }
+    | BindingInfo<T>
     | undefined;
 
   /**
@@ -1473,7 +2407,7 @@ export class DI {
    */
   getBinding<T>(
     container: Container<T>,
-  ): { isSingleton: boolean; lateResolve: boolean; resolveFunction: () => T }[];
+  ): BindingInfo<T>[];
 
   /**
    * Check if the module has a binding for an injectable
@@ -1494,6 +2428,9 @@ export class DI {
    * 3. **Neither** — if a cycle is encountered, `get()` throws immediately with a descriptive error that lists the
    *    full dependency chain (e.g. `"Circular dependency detected: A → B → A"`) and instructions on how to fix it.
    *
+   * Proxies can only stand in for singletons: a cycle made of transient bindings only throws the same
+   * descriptive error in every mode instead of overflowing the stack.
+   *
    * @param injectable an injectable class or a string key-value used for the binding
    * @returns an instance of T
    *
@@ -1911,6 +2848,94 @@ export class DI {
       ...unknown[],
     ];
 
+  /**
+   * Get the instances of every binding registered with `tag` in its `tags` bind option.
+   *
+   * Bindings are searched like `get` does: own bindings, then sub-modules, then fork parents, each
+   * in registration order. A key bound again closer to this module (e.g. overridden in a fork)
+   * hides the farther binding, tagged or not. Each instance is resolved with `get`, so lifetimes apply.
+   *
+   * @param tag a tag given to the `tags` bind option
+   * @returns the instances, or an empty array when no binding has the tag
+   * @throws InvalidBindingError when `tag` is not a non-empty string
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(DbCheck, [], { tags: ['healthcheck'] });
+   * di.bind(CacheCheck, [], { tags: ['healthcheck', 'critical'] });
+   *
+   * const checks = di.getTagged('healthcheck'); // [dbCheck, cacheCheck]
+   * ```
+   */
+  getTagged<T = any>(tag: string): T[];
+
+  /**
+   * Get an instance for the previously class binding, awaiting async bindings.
+   *
+   * Binding functions may return a promise and dependency arrays may contain dependencies
+   * which resolve to promises (async bindings or async factories); every dependency is awaited
+   * before the injectable is instantiated.
+   *
+   * Concurrent requests for a singleton which is still being created share the same in-flight
+   * promise, so the binding function runs only once. A rejected promise is never cached and the
+   * next call retries the binding function.
+   *
+   * `lateResolve` and `autoResolveCircularDependencies` do not apply: a cycle between dependency
+   * arrays rejects with a `Circular dependency detected` error.
+   *
+   * @param injectable an injectable class or a string key-value used for the binding
+   * @returns a promise for an instance of T
+   *
+   * @example
+   * ```javascript
+   * class Pool {
+   *   async connect() { ... }
+   * }
+   * class UserRepo {
+   *   constructor(pool) { this.pool = pool; }
+   * }
+   *
+   * const di = new DI();
+   * di.bind(Pool, async () => {
+   *   const pool = new Pool();
+   *   await pool.connect();
+   *   return pool;
+   * });
+   * di.bind(UserRepo, [Pool]);
+   *
+   * const repo = await di.getAsync(UserRepo); // repo.pool is the connected Pool
+   * ```
+   */
+  getAsync<T>(injectable: InjectableOrToken<T>): Promise<T>;
+  /**
+   * Get an instance for the previously class binding, awaiting async bindings.
+   * If the injectable has no binding the promise resolves to `fallbackToValue`.
+   * @param injectable an injectable class or a string key-value used for the binding
+   * @param fallbackToValue the value used when there is no binding for the injectable
+   * @returns a promise for an instance of T or the fallback value
+   */
+  getAsync<T, F>(injectable: InjectableOrToken<T>, fallbackToValue: F): Promise<T | F>;
+  /**
+   * Get all instances bound to a container, awaiting async bindings.
+   * @param container the container used for the bindings
+   * @returns a promise for the array of resolved items
+   */
+  getAsync<T>(container: Container<T>, fallbackToEmptyList?: boolean): Promise<T[]>;
+
+  /**
+   * Get multiple instances in a single call, awaiting async bindings.
+   * The injectables are resolved concurrently.
+   * @param injectables the injectables to resolve
+   * @returns a promise for the instances in the same order as the injectables
+   * @example
+   * ```javascript
+   * const [pool, cache] = await di.getAllAsync(Pool, Cache);
+   * ```
+   */
+  getAllAsync<I extends AnyInjectable<any>[]>(
+    ...injectables: [...I]
+  ): Promise<ResolveInjectables<I>>;
+
   /**
    * Get an object with a method to get an instance of the class binding
    * @param injectable an injectable class or a string key-value used for the binding
@@ -1924,6 +2949,40 @@ export class DI {
    */
   getResolver<T>(container: Container<T>): DIResolver<T[]>;
 
+  /**
+   * Create a new instance of `injectable` with call-site values for its `di.param(name)` placeholders
+   * (assisted injection). The other dependencies are resolved from the container as usual.
+   *
+   * Every call runs the binding again: the lifetime of the binding is ignored, the instance is not cached
+   * and disposing the container does not dispose it. Bindings declared with a function receive `params`
+   * as their second argument. Lookup follows `get`: own bindings, then sub-modules, then fork parents.
+   *
+   * @param injectable an injectable class, Token or key of a non-container binding
+   * @param params values for the `di.param(name)` placeholders, by name
+   * @returns a new instance of T
+   * @throws ResolutionError with code `ERR_DI_MISSING_PARAM` when a placeholder has no value in `params`
+   * @example
+   * ```javascript
+   * class Exporter {
+   *   constructor(logger, reportId) {
+   *     this.logger = logger;
+   *     this.reportId = reportId;
+   *   }
+   * }
+   *
+   * const di = new DI();
+   * di.bind(Logger, []);
+   * di.bind(Exporter, [Logger, di.param('reportId')]);
+   *
+   * const exporter = di.create(Exporter, { reportId: 42 });
+   * console.log(exporter.reportId); // 42
+   *
+   * // Or inject a factory: providers forward params to create
+   * di.bind(Scheduler, [di.provider(Exporter)]); // scheduler.newExporter({ reportId: 43 })
+   * ```
+   */
+  create<T>(injectable: InjectableOrToken<T>, params?: CreateParams): T;
+
   /**
    * Bind a class or another constructable object so it can be fetched later.
    * The binding method is generated automatically from the injectable and array of dependencies.
@@ -1938,13 +2997,20 @@ export class DI {
    * - A `Token<T>` wrapping the expected type
    * - `DI.literal(value)` / `di.literal(value)` — a `DILiteral<T>` with matching value type
    * - `DI.factory(fn)` / `di.factory(fn)` — a `DIFactory<T>` returning the expected type
-   * - A `string` or `Symbol` named binding (escape hatch — accepted in every slot but type-unsafe)
+   * - `DI.optional(X, default?)` / `di.optional(X, default?)` — a `DIOptional<T>`, for parameters accepting `undefined` or the default
+   * - `DI.lazy(X)` / `di.lazy(X)` — a `DILazy<T>` resolved on first access
+   * - `DI.provider(X)` / `di.provider(X)` — a `DIProvider<R>`, for parameters typed `(params?) => R`
+   * - `DI.param(name)` / `di.param(name)` — a `DIParam<T>` filled by `create(X, params)`
+   * - `DI.named(X, name)` / `di.named(X, name)` — a `DINamed<T>` for a binding registered with `{name}`
+   * - `DI.tagged(tag)` / `di.tagged(tag)` — a `DITagged<E>` injecting every tagged binding, for parameters typed `E[]`
+   * - A `string` or `Symbol` key (escape hatch — accepted in every slot but type-unsafe)
    *
    * @param injectable a constructable class whose constructor parameter types drive the dependency check
    * @param dependencies a tuple of dependencies, one per constructor parameter, in the same order
    * @param opts.isSingleton optional; `true` by default
    * @param opts.lateResolve optional; defers instantiation until first property access (Proxy). Ignored in auto mode.
    * @param opts.eager optional; if true, the instance is created immediately when the binding is registered.
+   * @param opts.scope optional; `"singleton"` (default), `"transient"` or `"fork"` (one instance per fork). Takes precedence over `isSingleton`.
    * @returns this
    *
    * @example
@@ -1962,7 +3028,7 @@ export class DI {
   bind<T extends object, Args extends readonly unknown[]>(
     injectable: (new (...args: [...Args]) => T) | Token<T>,
     dependencies: DependenciesFor<Args>,
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean },
+    opts?: BindOptions,
   ): this;
   /**
    * Bind an injectable to a Container. The container will append this binding to its internal array.
@@ -1987,8 +3053,8 @@ export class DI {
    */
   bind<T>(
     container: Container<T>,
-    dependency: DependencyFor<T> | BindingFunc<T>,
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean },
+    dependency: DependencyFor<T> | BindingFunc<T> | AsyncBindingFunc<T>,
+    opts?: BindOptions,
   ): this;
   /**
    * Bind a class or another constructable object so it can be fetched later
@@ -2004,6 +3070,7 @@ export class DI {
    * **Note:** this flag is silently ignored when `autoResolveCircularDependencies` is enabled (globally or on this instance) —
    * in that mode cycles are detected automatically and only the binding actually caught in the cycle receives a Proxy.
    * @param opts.eager optional; if true, the instance is created immediately when the binding is registered.
+   * @param opts.scope optional; `"singleton"` (default), `"transient"` or `"fork"` (one instance per fork). Takes precedence over `isSingleton`.
    * @returns this
    *
    * @example
@@ -2027,7 +3094,7 @@ export class DI {
   bind<T>(
     injectable: ClassConstructor<T> | Token<T>,
     dependencies: Dependency[],
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean },
+    opts?: BindOptions,
   ): this;
   /**
    * Bind a class or another constructable object so it can be fetched later
@@ -2040,6 +3107,7 @@ export class DI {
    * **Note:** this flag is silently ignored when `autoResolveCircularDependencies` is enabled (globally or on this instance) —
    * in that mode cycles are detected automatically and only the binding actually caught in the cycle receives a Proxy.
    * @param opts.eager optional; if true, the instance is created immediately when the binding is registered.
+   * @param opts.scope optional; `"singleton"` (default), `"transient"` or `"fork"` (one instance per fork). Takes precedence over `isSingleton`.
    * @returns this
    *
    * @example
@@ -2062,8 +3130,8 @@ export class DI {
    */
   bind<T>(
     injectable: InjectableOrToken<T>,
-    func: BindingFunc<T>,
-    opts?: { isSingleton?: boolean; lateResolve?: boolean; eager?: boolean },
+    func: BindingFunc<T> | AsyncBindingFunc<T>,
+    opts?: BindOptions,
   ): this;
   /**
    * Bind a class or another constructable object so it can be fetched later
@@ -2095,7 +3163,7 @@ export class DI {
 
   /**
    * Remove the binding (and its cached singleton instance, if any) for a single injectable.
-   * If the cached instance exposes a `dispose()` method, it is called before the instance
+   * If the cached instance exposes a `dispose()` method (or `[Symbol.dispose]()` / `[Symbol.asyncDispose]()`), it is called before the instance
    * is removed from the container — giving it a chance to release resources (timers, connections, etc.).
    * Errors thrown by `dispose()` are silently ignored.
    *
@@ -2123,6 +3191,125 @@ export class DI {
    */
   unbind<T>(injectable: AnyInjectable<T>): this;
 
+  /**
+   * Make `from` resolve to the binding registered for `to`.
+   * The alias has no lifetime of its own: it shares the target's scope and cached instance, so
+   * `di.get(from) === di.get(to)` for singletons and each call builds a new instance for transients.
+   * The target is looked up on every resolution, so rebinding `to` (or overriding it in a fork)
+   * is picked up by the alias. Aliases appear in the dependency graph with an `"alias"` edge
+   * and take part in cycle detection.
+   *
+   * @param from the new key
+   * @param to the key of an existing (or later registered) binding
+   * @returns this
+   * @throws InvalidBindingError when `from` and `to` are the same key
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(PinoLogger, []);
+   * di.alias('Logger', PinoLogger);
+   *
+   * console.log(di.get('Logger') === di.get(PinoLogger)); // true
+   * ```
+   */
+  alias<T>(from: AnyInjectable<T>, to: AnyInjectable<T>): this;
+
+  /**
+   * Wrap every instance created for `injectable` with `decorator(instance, di)`, e.g. to add
+   * caching or metrics around a service bound elsewhere. The decorated value is what gets
+   * cached and injected.
+   *
+   * - Decorators stack: each one receives the result of the previous one, in registration order.
+   * - They can be registered before or after the binding, but only apply to instances created afterwards.
+   * - Decorators registered on sub-modules and on fork parents apply too, so a cross-cutting module
+   *   can decorate bindings declared in another module. A module resolving a binding through one of its
+   *   sub-modules applies its own decorators, but not those of other modules sharing the sub-module.
+   *   Decorators registered on a fork only apply to instances created by the fork (fork-scoped bindings).
+   * - `getAsync` awaits async decorators. Aliases are not decorated themselves, decorate their target.
+   *
+   * Decorators show up in the dependency graph as `GraphNode.decorators`.
+   *
+   * @param injectable the injectable whose instances are decorated
+   * @param decorator receives the instance and the DI module that created it and returns the replacement
+   * @returns this
+   * @throws InvalidBindingError when `decorator` is not a function
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(UserRepository, [Database]);
+   *
+   * di.decorate(UserRepository, function withMetrics(repo, di) {
+   *   return new TimedRepository(repo, di.get(Metrics));
+   * });
+   *
+   * di.get(UserRepository); // TimedRepository wrapping the UserRepository
+   * ```
+   */
+  decorate<T>(injectable: InjectableOrToken<T>, decorator: Decorator<T>): this;
+
+  /**
+   * Run the method calls of `injectable` instances through interceptor hooks, for logging,
+   * timing, retries or authorization.
+   *
+   * - The first interceptor registered for a key adds a decorator (shown as `"intercepted"` in the
+   *   graph) wrapping instances created afterwards in a proxy. `instanceof` checks keep working.
+   * - The proxy reads the interceptors on every call: interceptors added or removed later take
+   *   effect on instances that are already wrapped.
+   * - Interceptors nest in registration order, the first one being the outermost.
+   * - Methods run against the instance itself, so private fields work, and calls an instance makes
+   *   on itself (`this.other()`) are not intercepted.
+   * - Pass `{ tag }` (or `di.tagged(tag)`) instead of an injectable to intercept every binding with
+   *   the tag, including bindings declared later or in sub-modules.
+   *
+   * @param injectable the injectable whose method calls are intercepted
+   * @param interceptor the hooks to run; keep a reference to remove it later
+   * @returns this
+   * @throws InvalidBindingError when the interceptor defines none of the hooks
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(PaymentClient, []);
+   *
+   * di.intercept(PaymentClient, {
+   *   before: (ctx) => console.log(`calling ${String(ctx.method)}`, ctx.args),
+   *   onError: (ctx) => console.error(ctx.error),
+   *   around: async (ctx, proceed) => {
+   *     try { return await proceed(); } catch { return proceed(); } // retry once
+   *   },
+   * });
+   * ```
+   */
+  intercept<T>(injectable: InjectableOrToken<T>, interceptor: Interceptor<T>): this;
+  /**
+   * Run the method calls of every binding tagged with `target.tag` through interceptor hooks.
+   * @param target `{ tag }` or `di.tagged(tag)`
+   * @param interceptor the hooks to run; keep a reference to remove it later
+   * @returns this
+   * @throws InvalidBindingError when the tag is not a non-empty string or the interceptor defines none of the hooks
+   * @example
+   * ```javascript
+   * di.bind(UserRepo, [DbPool], { tags: ['repository'] });
+   * di.intercept({ tag: 'repository' }, timing);
+   * ```
+   */
+  intercept(target: { readonly tag: string }, interceptor: Interceptor): this;
+
+  /**
+   * Remove an interceptor registered with `intercept`, including from instances already wrapped.
+   * Has no effect when the interceptor is not registered for `injectable`.
+   * @param injectable the injectable given to `intercept`
+   * @param interceptor the same interceptor object given to `intercept`
+   * @returns this
+   */
+  removeInterceptor<T>(injectable: InjectableOrToken<T>, interceptor: Interceptor<T>): this;
+  /**
+   * Remove an interceptor registered with `intercept({ tag }, interceptor)`.
+   * @param target the `{ tag }` (or `di.tagged(tag)`) given to `intercept`
+   * @param interceptor the same interceptor object given to `intercept`
+   * @returns this
+   */
+  removeInterceptor(target: { readonly tag: string }, interceptor: Interceptor): this;
+
   /**
    * Create a fork (child scope) of this DI instance.
    *
@@ -2249,8 +3436,9 @@ export class DI {
   /**
    * Clears all containers, bindings, and sub-modules from this DI instance.
    * This method also recursively clears all sub-modules.
-   * Before removing each cached singleton instance, `dispose()` is called on it if the method
-   * exists — giving services a chance to release resources (timers, connections, etc.).
+   * Before removing each cached singleton instance, `dispose()` (or `[Symbol.dispose]()` /
+   * `[Symbol.asyncDispose]()`) is called on it if the method exists — giving services a chance
+   * to release resources (timers, connections, etc.). Returned promises are not awaited, use `dispose()` for that.
    * Errors thrown by `dispose()` are silently ignored.
    * After calling clear(), the DI instance will be in a clean state as if it was just created.
    * @returns void
@@ -2274,9 +3462,67 @@ export class DI {
    * ```
    */
   clear(): void;
+
+  /**
+   * Asynchronously shut this DI instance down: dispose every cached singleton instance, then
+   * clear it like `clear()`.
+   *
+   * - Dependents are disposed before their dependencies. The order follows the dependency arrays
+   *   of the bindings; bindings declared with a custom function fall back to reverse creation order.
+   * - The first method found among `[Symbol.asyncDispose]()`, `dispose()`, `[Symbol.dispose]()` and
+   *   `close()` is called on each instance, and returned promises are awaited one instance at a time.
+   * - Each instance gets `opts.timeout` milliseconds (5000 by default) before it is reported as failed.
+   * - Sub-modules are disposed after this module's own instances. A fork's parent is never touched.
+   * - Lazy proxies which were never accessed are skipped.
+   *
+   * Nothing is thrown: failures are collected in the returned report.
+   *
+   * @param opts.timeout optional per-instance timeout in milliseconds
+   * @returns a report with the disposed keys and the failures
+   * @example
+   * ```javascript
+   * const di = new DI();
+   * di.bind(DbPool, []);
+   * di.bind(UserRepo, [DbPool]);
+   * di.get(UserRepo);
+   *
+   * process.on('SIGTERM', async () => {
+   *   const report = await di.dispose({ timeout: 2000 }); // UserRepo, then DbPool
+   *   for (const { key, error } of report.errors) console.error(`Failed to dispose ${key}`, error);
+   * });
+   * ```
+   */
+  dispose(opts?: DisposeOptions): Promise<DisposeReport>;
+
+  /**
+   * Explicit resource management: same as `clear()`.
+   * Lets a scope be written as `using scope = appDI.fork()` and be cleared when it goes out of scope.
+   * @example
+   * ```typescript
+   * function handle(req) {
+   *   using reqDI = appDI.fork();
+   *   reqDI.bind(RequestContext, () => new RequestContext(req));
+   *   return reqDI.get(OrderService).process();
+   * } // reqDI.clear() runs here, the parent is untouched
+   * ```
+   */
+  [Symbol.dispose](): void;
+
+  /**
+   * Explicit resource management: awaits `dispose()`.
+   * Rejects with an `AggregateError` holding every failure from the dispose report.
+   * @example
+   * ```typescript
+   * async function handle(req) {
+   *   await using reqDI = appDI.fork();
+   *   return await reqDI.get(OrderService).process();
+   * } // await reqDI.dispose() runs here
+   * ```
+   */
+  [Symbol.asyncDispose](): Promise<void>;
 }
 
 export type DIGetter = Pick<
   DI,
-  "get" | "getAll" | "getResolver" | "getBinding" | "has"
+  "get" | "getAll" | "getTagged" | "getAsync" | "getAllAsync" | "getResolver" | "create" | "getBinding" | "has"
 >;
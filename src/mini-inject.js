@@ -7,11 +7,14 @@ function isClass(f) {
 
 function resolveKey(injectable) {
     if (!injectable)
-        throw new Error(`Could not resolve injectable name from "${injectable}"`);
-    else if (typeof injectable === "string" || injectable instanceof Symbol)
+        throw new InvalidBindingError(`Could not resolve injectable name from "${injectable}"`, { key: injectable });
+    else if (typeof injectable === "string" || typeof injectable === "symbol")
         return injectable;
     else if (injectable instanceof Token) return injectable.toSymbol();
     else if (injectable instanceof Container) return injectable.toSymbol();
+    else if (injectable instanceof DINamed) return injectable.key;
+    // Classes and functions are keyed by identity so same-named injectables never collide
+    else if (typeof injectable === "function") return injectable;
     else if (injectable.name) return injectable.name;
     else if (injectable.toString && injectable.toString.apply)
         return injectable.toString();
@@ -20,6 +23,64 @@ function resolveKey(injectable) {
     return new String(injectable);
 }
 
+/** @type {Map<string|Symbol, Map<string, symbol>>} */
+const qualifiedKeys = new Map();
+/** @type {WeakMap<Function, Map<string, symbol>>} Classes and functions stay collectable once named */
+const qualifiedFunctionKeys = new WeakMap();
+/** @type {Map<symbol, {key: string|Symbol|WeakRef<Function>, name: string}>} */
+const qualifiedKeyParts = new Map();
+// Forget the named keys of a class or function once it is collected
+const qualifiedKeyCleanup = new FinalizationRegistry((byName) => {
+    for (const symbol of byName.values()) qualifiedKeyParts.delete(symbol);
+});
+
+/**
+ * The binding key of a named binding: one Symbol per (key, name) pair, so `di.named(Cache, 'sessions')`
+ * and `{name: 'sessions'}` always meet. Displayed as `Cache#sessions`.
+ * @param {string|Symbol|Function} key
+ * @param {unknown} name
+ * @returns {symbol}
+ */
+function qualifiedKey(key, name) {
+    if (typeof name !== 'string' || name === '') {
+        throw new InvalidBindingError(`A binding name must be a non-empty string, got ${JSON.stringify(name) ?? String(name)}`, { key });
+    }
+    const isFunction = typeof key === 'function';
+    const keys = isFunction ? qualifiedFunctionKeys : qualifiedKeys;
+    if (!keys.has(key)) {
+        keys.set(key, new Map());
+        if (isFunction) qualifiedKeyCleanup.register(key, keys.get(key));
+    }
+    const byName = keys.get(key);
+    if (!byName.has(name)) {
+        const symbol = Symbol(`__DINamed__[[${name}]]`);
+        byName.set(name, symbol);
+        qualifiedKeyParts.set(symbol, { key: isFunction ? new WeakRef(key) : key, name });
+    }
+    return byName.get(name);
+}
+
+/**
+ * The key and name a named binding key was made of, or `undefined` for other keys.
+ * @param {string|Symbol|Function} key
+ * @returns {{key: string|Symbol|Function|undefined, name: string} | undefined}
+ */
+function qualifiedKeyOf(key) {
+    const parts = qualifiedKeyParts.get(key);
+    if (!parts) return undefined;
+    return { key: parts.key instanceof WeakRef ? parts.key.deref() : parts.key, name: parts.name };
+}
+
+// Explicit resource management symbols (fall back to the registry keys used by Node's polyfill)
+const SYMBOL_DISPOSE = Symbol.dispose ?? Symbol.for('nodejs.dispose');
+const SYMBOL_ASYNC_DISPOSE = Symbol.asyncDispose ?? Symbol.for('nodejs.asyncDispose');
+
+/** Dependency descriptor types which become edges in the dependency graph. */
+const EDGE_DEP_TYPES = new Set(['injectable', 'optional', 'lazy', 'provider', 'alias', 'observed']);
+
+/** Human-readable names for binding lifetimes, used in messages and reports. */
+const SCOPE_LABELS = { singleton: 'singleton', transient: 'transient', fork: 'fork-scoped' };
+
 const IS_DI_PROXY = Symbol('IS_DI_PROXY');
 const HAS_DI_PROXY_INSTANCE = Symbol('HAS_DI_PROXY_INSTANCE');
 const GET_DI_PROXY_INSTANCE = Symbol('GET_DI_PROXY_INSTANCE');
@@ -35,7 +96,7 @@ class Token {
 
     constructor(injectable, description) {
         this.#injectable = injectable;
-        this.#description = resolveKey(description ?? injectable);
+        this.#description = formatKey(resolveKey(description ?? injectable));
         // Use regular Symbol instead of Symbol.for to avoid global registry
         this.#symbol = Symbol(`__DIToken__[[${this.#description}]]`);
     }
@@ -60,7 +121,7 @@ class Container {
 
     constructor(injectable, description) {
         this.#injectable = injectable;
-        this.#description = resolveKey(description ?? injectable);
+        this.#description = formatKey(resolveKey(description ?? injectable));
         this.#symbol = Symbol(`__DIContainer__[[${this.#description}]]`);
     }
 
@@ -160,6 +221,77 @@ class DIProxyBuilder {
     }
 }
 
+/**
+ * Call a method through interceptors, the first one being the outermost. `before` runs before
+ * proceeding, `around` replaces proceeding (and may proceed any number of times), `after` and
+ * `onError` see the settled result, awaiting it for async methods.
+ * @param {Array<{before?: Function, after?: Function, onError?: Function, around?: Function}>} interceptors
+ * @param {{instance: object, method: string|symbol, args: unknown[], result?: unknown, error?: unknown}} context
+ * @param {() => unknown} call runs the method with `context.args`
+ */
+function callIntercepted(interceptors, context, call, index = 0) {
+    if (index === interceptors.length) return call();
+    const { before, after, onError, around } = interceptors[index];
+    const next = () => callIntercepted(interceptors, context, call, index + 1);
+    const succeed = (result) => {
+        context.result = result;
+        after?.(context);
+        return context.result;
+    };
+    const fail = (error) => {
+        context.error = error;
+        onError?.(context);
+        throw error;
+    };
+
+    before?.(context);
+    let result;
+    try {
+        result = around ? around(context, next) : next();
+    } catch (error) {
+        return fail(error);
+    }
+    return result && typeof result.then === 'function' ? result.then(succeed, fail) : succeed(result);
+}
+
+class DIInterceptorProxyBuilder {
+    #instance;
+    /** @type {() => Array<{before?: Function, after?: Function, onError?: Function, around?: Function}>} */
+    #getInterceptors;
+
+    constructor(instance, getInterceptors) {
+        this.#instance = instance;
+        this.#getInterceptors = getInterceptors;
+    }
+
+    build() {
+        const getInterceptors = this.#getInterceptors;
+        // Property -> last seen method and its wrapper, so `proxy.run === proxy.run`
+        const wrappers = new Map();
+        const handler = {
+            get(target, prop) {
+                const value = Reflect.get(target, prop, target);
+                if (typeof value !== 'function' || prop === 'constructor') return value;
+                const descriptor = Reflect.getOwnPropertyDescriptor(target, prop);
+                // Proxy invariant: read-only, non-configurable properties must be returned untouched
+                if (descriptor && !descriptor.configurable && !descriptor.writable) return value;
+
+                if (wrappers.get(prop)?.method !== value) {
+                    const wrapper = (...args) => {
+                        const context = { instance: target, method: prop, args };
+                        // Methods run against the instance itself so private fields keep working
+                        return callIntercepted(getInterceptors(), context, () => value.apply(target, context.args));
+                    };
+                    wrappers.set(prop, { method: value, wrapper });
+                }
+                return wrappers.get(prop).wrapper;
+            },
+        };
+        // The instance itself is the target: prototype checks and property writes go straight to it.
+        return new Proxy(this.#instance, handler);
+    }
+}
+
 class DILiteral {
     /** @type {unknown} */
     #value = undefined;
@@ -191,37 +323,328 @@ class DIFactory {
     }
 }
 
+/** A dependency resolved only when bound, `defaultValue` being injected otherwise. */
+class DIOptional {
+    /** @type {unknown} */
+    #injectable = undefined;
+    /** @type {unknown} */
+    #defaultValue = undefined;
+
+    constructor(injectable, defaultValue) {
+        this.#injectable = injectable;
+        this.#defaultValue = defaultValue;
+    }
+
+    get injectable() {
+        return this.#injectable;
+    }
+
+    get defaultValue() {
+        return this.#defaultValue;
+    }
+}
+
+/** A dependency injected as a proxy which resolves the injectable on first access. */
+class DILazy {
+    /** @type {unknown} */
+    #injectable = undefined;
+
+    constructor(injectable) {
+        this.#injectable = injectable;
+    }
+
+    get injectable() {
+        return this.#injectable;
+    }
+}
+
+/** A dependency injected as a zero-argument function which resolves the injectable on every call. */
+class DIProvider {
+    /** @type {unknown} */
+    #injectable = undefined;
+
+    constructor(injectable) {
+        this.#injectable = injectable;
+    }
+
+    get injectable() {
+        return this.#injectable;
+    }
+}
+
+/** A placeholder filled at call time with `params[name]` from `di.create(X, params)`. */
+class DIParam {
+    /** @type {string} */
+    #name;
+
+    constructor(name) {
+        this.#name = name;
+    }
+
+    get name() {
+        return this.#name;
+    }
+}
+
+/** A named binding of an injectable, e.g. the `"sessions"` `Cache`, for dependency arrays and lookups. */
+class DINamed {
+    #injectable;
+    /** @type {string} */
+    #name;
+    /** @type {symbol} */
+    #key;
+
+    constructor(injectable, name) {
+        this.#injectable = injectable;
+        this.#name = name;
+        this.#key = qualifiedKey(resolveKey(injectable), name);
+    }
+
+    get injectable() {
+        return this.#injectable;
+    }
+
+    get name() {
+        return this.#name;
+    }
+
+    get key() {
+        return this.#key;
+    }
+}
+
+/** Injects the instances of every binding tagged with `tag`, like `di.getTagged(tag)`. */
+class DITagged {
+    /** @type {string} */
+    #tag;
+
+    constructor(tag) {
+        assertTag(tag);
+        this.#tag = tag;
+    }
+
+    get tag() {
+        return this.#tag;
+    }
+}
+
+/** Development-only checks (warnings) are skipped when `NODE_ENV` is `production`. */
+function isDevelopment() {
+    return globalThis.process?.env?.NODE_ENV !== 'production';
+}
+
+/**
+ * Throw unless `tag` is a non-empty string.
+ * @param {unknown} tag
+ * @param {string|Symbol|Function} [key] the binding being tagged, if any
+ */
+function assertTag(tag, key) {
+    if (typeof tag !== 'string' || tag === '') {
+        throw new InvalidBindingError(`A tag must be a non-empty string, got ${JSON.stringify(tag) ?? String(tag)}`, { key });
+    }
+}
+
+/**
+ * The tag given to `intercept({ tag })` (or `intercept(di.tagged(tag))`), or `undefined` when
+ * the target is an injectable.
+ * @param {unknown} target
+ * @returns {string|undefined}
+ */
+function interceptedTag(target) {
+    if (target instanceof DITagged) return target.tag;
+    if (typeof target !== 'object' || target === null || target instanceof Token || target instanceof DINamed) return undefined;
+    if (!('tag' in target)) return undefined;
+    assertTag(target.tag);
+    return target.tag;
+}
+
+/**
+ * The injectable a dependency-array entry resolves, or `null` for entries that are not
+ * bindings (literals, factories) or not a single binding (tags).
+ */
+function dependencyTarget(dep) {
+    if (dep instanceof DILiteral || dep instanceof DIFactory || dep instanceof DIParam || dep instanceof DITagged) return null;
+    if (dep instanceof DIOptional || dep instanceof DILazy || dep instanceof DIProvider) return dep.injectable;
+    return dep;
+}
+
+// ─── Errors ──────────────────────────────────────────────────────────────────
+
+/**
+ * Base class of every error thrown by mini-inject.
+ * `key` is the requested key and `path` the keys being resolved when the error occurred,
+ * outermost first and ending with `key`. Both hold raw keys (string, Symbol or class/function).
+ */
+class DIError extends Error {
+    /**
+     * @param {string} message
+     * @param {{code: string, key?: any, path?: any[], cause?: unknown}} details
+     */
+    constructor(message, { code, key, path, cause }) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'DIError';
+        this.code = code;
+        this.key = key;
+        this.path = path ?? (key === undefined ? [] : [key]);
+    }
+}
+
+/** No binding (and no fallback) for the requested key. */
+class MissingBindingError extends DIError {
+    constructor(message, details) {
+        super(message, { code: 'ERR_DI_MISSING_BINDING', ...details });
+        this.name = 'MissingBindingError';
+    }
+}
+
+/** The requested key is already being resolved further up the path. */
+class CircularDependencyError extends DIError {
+    constructor(message, details) {
+        super(message, { code: 'ERR_DI_CIRCULAR_DEPENDENCY', ...details });
+        this.name = 'CircularDependencyError';
+    }
+}
+
+/** A binding or injectable was declared with invalid arguments. */
+class InvalidBindingError extends DIError {
+    constructor(message, details) {
+        super(message, { code: 'ERR_DI_INVALID_BINDING', ...details });
+        this.name = 'InvalidBindingError';
+    }
+}
+
+/** A binding exists but could not be resolved, e.g. a captive dependency in strict mode. */
+class ResolutionError extends DIError {
+    constructor(message, details) {
+        super(message, { code: 'ERR_DI_RESOLUTION_FAILED', ...details });
+        this.name = 'ResolutionError';
+    }
+}
+
+/** `validate()` found problems; `issues` lists them, each with its own `message`. */
+class ValidationError extends DIError {
+    constructor(message, details) {
+        super(message, { code: 'ERR_DI_VALIDATION_FAILED', ...details });
+        this.name = 'ValidationError';
+        this.issues = details.issues;
+    }
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Up to three candidates whose name is close to `name` (case-insensitive edit distance of at most
+ * a third of its length), closest first.
+ * @param {string} name
+ * @param {Array<[string, string]>} candidates `[name, display name]` pairs
+ * @returns {string[]} display names
+ */
+function closestNames(name, candidates) {
+    const target = name.toLowerCase();
+    const maxDistance = Math.max(1, Math.floor(name.length / 3));
+    return candidates
+        .map(([candidate, display]) => ({ display, distance: editDistance(target, candidate.toLowerCase()) }))
+        .filter(({ distance }) => distance <= maxDistance && distance < name.length)
+        .sort((x, y) => x.distance - y.distance)
+        .slice(0, 3)
+        .map(({ display }) => display);
+}
+
+/**
+ * What kind of key this is, for messages.
+ * @param {string|Symbol|Function} key
+ */
+function identityKind(key) {
+    const qualified = qualifiedKeyOf(key);
+    if (qualified) return identityKind(qualified.key);
+    if (typeof key === 'string') return 'string';
+    if (typeof key === 'function') return 'class or function';
+    const name = formatKey(key);
+    if (name.startsWith('Token<')) return 'Token';
+    if (name.startsWith('Container<')) return 'Container';
+    return 'Symbol';
+}
+
 // ─── Dependency-graph helpers ────────────────────────────────────────────────
 
 /**
- * Converts a raw binding key (string or Symbol) to a human-readable display string.
- * Token symbols are rendered as `Token<description>`.
- * @param {string|Symbol} key
+ * Converts a raw binding key (string, Symbol or class/function) to a human-readable display string.
+ * Token symbols are rendered as `Token<description>`, classes and functions by their name.
+ * @param {string|Symbol|Function} key
  * @returns {string}
  */
 function formatKey(key) {
     if (typeof key === 'string') return key;
+    if (typeof key === 'function') return key.name || '<anonymous>';
     if (typeof key === 'symbol') {
+        const qualified = qualifiedKeyOf(key);
+        if (qualified) return `${formatKey(qualified.key)}#${qualified.name}`;
         const desc = key.description ?? '';
         let match = desc.match(/^__DIToken__\[\[(.+)\]\]$/);
         if (match) return `Token<${match[1]}>`;
         match = desc.match(/^__DIContainer__\[\[(.+)\]\]$/);
         if (match) return `Container<${match[1]}>`;
-        return desc || String(key);
+        return String(key);
     }
     return String(key);
 }
 
+/**
+ * Creates a stateful `formatKey` which keeps display strings unique: the first key seen
+ * with a given display name keeps it, later distinct keys get an `@2`, `@3`, ... suffix.
+ * @returns {(key: string|Symbol|Function) => string}
+ */
+function createKeyFormatter() {
+    /** @type {Map<string, Array<string|Symbol|Function>>} */
+    const seenByName = new Map();
+    return (key) => {
+        const name = formatKey(key);
+        let seen = seenByName.get(name);
+        if (!seen) {
+            seen = [];
+            seenByName.set(name, seen);
+        }
+        let index = seen.indexOf(key);
+        if (index === -1) index = seen.push(key) - 1;
+        return index === 0 ? name : `${name}@${index + 1}`;
+    };
+}
+
 /**
  * Converts a raw dependency array (as stored in a binding) into DepDescriptor objects.
  * @param {Array} rawDeps
+ * @param {(key: string|Symbol|Function) => string} [format]
  * @returns {Array<{type:string, key?:string, value?:unknown, name?:string|null}>}
  */
-function describeRawDeps(rawDeps) {
+function describeRawDeps(rawDeps, format = formatKey) {
     return rawDeps.map((dep) => {
         if (dep instanceof DILiteral) return { type: 'literal', value: dep.value };
         if (dep instanceof DIFactory) return { type: 'factory', name: dep.name };
-        return { type: 'injectable', key: formatKey(resolveKey(dep)) };
+        if (dep instanceof DIOptional) {
+            return { type: 'optional', key: format(resolveKey(dep.injectable)), defaultValue: dep.defaultValue };
+        }
+        if (dep instanceof DILazy) return { type: 'lazy', key: format(resolveKey(dep.injectable)) };
+        if (dep instanceof DIProvider) return { type: 'provider', key: format(resolveKey(dep.injectable)) };
+        if (dep instanceof DIParam) return { type: 'param', name: dep.name };
+        if (dep instanceof DITagged) return { type: 'tagged', tag: dep.tag };
+        return { type: 'injectable', key: format(resolveKey(dep)) };
     });
 }
 
@@ -337,9 +760,59 @@ function formatDepText(dep) {
     if (dep.type === 'factory') {
         return dep.name ? `Factory<${dep.name}>` : 'Factory<anonymous>';
     }
+    if (dep.type === 'optional') return `Optional<${dep.key}>`;
+    if (dep.type === 'lazy') return `Lazy<${dep.key}>`;
+    if (dep.type === 'provider') return `Provider<${dep.key}>`;
+    if (dep.type === 'param') return `Param<${dep.name}>`;
+    if (dep.type === 'alias') return `Alias<${dep.key}>`;
+    if (dep.type === 'tagged') return `Tagged<${dep.tag}>`;
     return '?';
 }
 
+/**
+ * Display key and `when` node field of a contextual binding of `key`, e.g. `Logger (in BillingService)`.
+ * Anonymous predicates are told apart by their position among the contextual bindings of `key`,
+ * e.g. `Clock (when #2)`. An inline `{when: (path) => ...}` is named after the property: that name
+ * says nothing about the condition, so it counts as anonymous.
+ * @param {string|Symbol|Function} key
+ * @param {{when: any}} binding
+ * @param {(key: string|Symbol|Function) => string} format
+ * @param {number} position 1-based position of the binding among the contextual bindings of `key`
+ * @returns {{displayKey: string, when: {injectedInto: string} | {predicate: string|null}}}
+ */
+function describeContextual(key, binding, format, position) {
+    const contextOf = format(key);
+    const name = binding.when.name;
+    const when = binding.when.injectedInto !== undefined
+        ? { injectedInto: format(resolveKey(binding.when.injectedInto)) }
+        : { predicate: name && name !== 'when' ? name : null };
+    const displayKey = when.injectedInto !== undefined
+        ? `${contextOf} (in ${when.injectedInto})`
+        : `${contextOf} (when ${when.predicate ?? `#${position}`})`;
+    return { displayKey, when };
+}
+
+/**
+ * Whether a dependency-array entry names a key: a string, Symbol, class/function, Token, Container
+ * or `named` marker. Markers wrapping an injectable must wrap one of those.
+ * @param {unknown} dep
+ */
+function isValidDependency(dep) {
+    if (dep instanceof DILiteral || dep instanceof DIFactory || dep instanceof DIParam || dep instanceof DITagged) return true;
+    if (dep instanceof DIOptional || dep instanceof DILazy || dep instanceof DIProvider) return isValidDependency(dependencyTarget(dep));
+    return (typeof dep === 'string' && dep !== '') || typeof dep === 'symbol' || typeof dep === 'function' ||
+        dep instanceof Token || dep instanceof Container || dep instanceof DINamed;
+}
+
+/**
+ * Graph node fields for the decorators of a binding: their function names, when there are any.
+ * @param {Function[]} decorators
+ * @returns {{decorators?: Array<string|null>}}
+ */
+function describeDecorators(decorators) {
+    return decorators.length > 0 ? { decorators: decorators.map((decorator) => decorator.name || null) } : {};
+}
+
 /**
  * Renders a DependencyGraph as a human-readable text report.
  * @param {{nodes:any[], edges:any[], cycles:string[][]}} graph
@@ -348,10 +821,14 @@ function formatDepText(dep) {
  */
 function formatGraphText(graph, opts) {
     const { header = true } = opts || {};
+    const warnings = graph.warnings || [];
+    const missing = graph.missing || [];
     const lines = [];
 
     if (header) {
-        const title = `mini-inject dependency graph — ${graph.nodes.length} binding(s), ${graph.cycles.length} cycle(s)`;
+        let title = `mini-inject dependency graph — ${graph.nodes.length} binding(s), ${graph.cycles.length} cycle(s)`;
+        if (warnings.length > 0) title += `, ${warnings.length} warning(s)`;
+        if (missing.length > 0) title += `, ${missing.length} missing`;
         lines.push(title);
         lines.push('═'.repeat(title.length));
         lines.push('');
@@ -368,21 +845,52 @@ function formatGraphText(graph, opts) {
         }
     }
 
+    // Map each node key to the captive dependencies it holds
+    const nodeToCaptives = new Map();
+    for (const warning of warnings) {
+        if (warning.type !== 'captive-dependency') continue;
+        if (!nodeToCaptives.has(warning.from)) nodeToCaptives.set(warning.from, []);
+        nodeToCaptives.get(warning.from).push(`${warning.to} [${warning.toScope}]`);
+    }
+
+    // Map each node key to the unbound keys it depends on
+    const nodeToMissing = new Map();
+    for (const { from, to } of missing) {
+        if (!nodeToMissing.has(from)) nodeToMissing.set(from, []);
+        nodeToMissing.get(from).push(to);
+    }
+
     for (const node of graph.nodes) {
         const keyCol = node.key.padEnd(maxKeyLen);
-        const singletonCol = node.isSingleton ? '[singleton]' : '[transient]';
+        const singletonCol = node.scope === 'fork'
+            ? '[scoped]   '
+            : node.isSingleton ? '[singleton]' : '[transient]';
         const lateCol = node.lateResolve ? '  lateResolve' : '             ';
         let depsCol;
         if (node.deps === null) {
-            depsCol = '(custom initializer - unknown deps)';
+            depsCol = node.observed
+                ? `(custom initializer - observed: ${node.observed.join(', ')})`
+                : '(custom initializer - unknown deps)';
         } else if (node.deps.length === 0) {
             depsCol = '';
         } else {
             depsCol = node.deps.map(formatDepText).join(', ');
+            if (node.observed) depsCol += ` (observed: ${node.observed.join(', ')})`;
         }
+        const decoratorsCol = node.decorators
+            ? `  decorated by ${node.decorators.map((name) => name ?? 'anonymous').join(' → ')}`
+            : '';
+        const tagsCol = node.tags ? `  tags: ${node.tags.join(', ')}` : '';
         const cycleStr = nodeToCycle.get(node.key);
         const cycleCol = cycleStr ? `  ⚠ CYCLE: ${cycleStr}` : '';
-        lines.push(`${keyCol}  ${singletonCol}${lateCol}  ${depsCol}${cycleCol}`);
+        const captives = nodeToCaptives.get(node.key);
+        const captiveCol = captives ? `  ⚠ CAPTIVE: ${captives.join(', ')}` : '';
+        const originCol = node.shadowed
+            ? `  (${node.origin}, shadowed)`
+            : node.origin === 'sub-module' || node.origin === 'parent' ? `  (${node.origin})` : '';
+        const unbound = nodeToMissing.get(node.key);
+        const missingCol = unbound ? `  ⚠ MISSING: ${unbound.join(', ')}` : '';
+        lines.push(`${keyCol}  ${singletonCol}${lateCol}  ${depsCol}${decoratorsCol}${tagsCol}${originCol}${cycleCol}${captiveCol}${missingCol}`);
     }
 
     if (header && graph.cycles.length > 0) {
@@ -393,6 +901,22 @@ function formatGraphText(graph, opts) {
         });
     }
 
+    if (header && warnings.length > 0) {
+        lines.push('');
+        lines.push('Warnings:');
+        warnings.forEach((warning, i) => {
+            lines.push(`  [${i + 1}] ${warning.message}`);
+        });
+    }
+
+    if (header && missing.length > 0) {
+        lines.push('');
+        lines.push('Missing bindings:');
+        missing.forEach((entry, i) => {
+            lines.push(`  [${i + 1}] ${entry.message}`);
+        });
+    }
+
     return lines.join('\n');
 }
 
@@ -400,23 +924,120 @@ function formatGraphText(graph, opts) {
 /** @type {DI | null} */
 let currentSyncContext = null;
 
+/**
+ * Bindings currently being resolved synchronously, outermost first. Shared by every DI
+ * instance so the consumer of a dependency is known even across sub-modules and forks.
+ * @type {Array<{key: string|Symbol|Function, binding: any, di: DI}>}
+ */
+const resolutionPath = [];
+
+/**
+ * Modules which handed the current synchronous resolution to one of their sub-modules, outermost
+ * first. Their decorators apply to what the sub-module builds for them, but not to what it builds
+ * for other modules it is attached to.
+ * @type {DI[]}
+ */
+const delegatingHosts = [];
+
+/**
+ * The path entry whose binding function is not the one requesting keys right now: a lazy proxy,
+ * a provider or a resolver is resolving during it, on behalf of another consumer.
+ * @type {{key: string|Symbol|Function, binding: any, di: DI} | null}
+ */
+let unobservedEntry = null;
+
+/**
+ * Run `resolve` as part of an earlier synchronous resolution, whose `resolutionPath` and
+ * `delegatingHosts` were snapshotted, then put the current ones back.
+ * @template T
+ * @param {{path: Array<{key: string|Symbol|Function, binding: any, di: DI}>, hosts: DI[]}} snapshot
+ * @param {() => T} resolve
+ * @returns {T}
+ */
+function resumeResolution(snapshot, resolve) {
+    const path = resolutionPath.splice(0, resolutionPath.length, ...snapshot.path);
+    const hosts = delegatingHosts.splice(0, delegatingHosts.length, ...snapshot.hosts);
+    try {
+        return resolve();
+    } finally {
+        resolutionPath.splice(0, resolutionPath.length, ...path);
+        delegatingHosts.splice(0, delegatingHosts.length, ...hosts);
+    }
+}
+
+/**
+ * Registration sequence of decorators across every DI instance, so decorators registered on
+ * different modules are applied in the order they were registered.
+ */
+let decoratorCount = 0;
+
+/**
+ * Keys of a resolution path as reported by errors. Container items are reported by their container key.
+ * @param {Array<{key: string|Symbol|Function, binding: any}>} path
+ * @param {string|Symbol|Function} key the requested key, appended last
+ */
+function pathKeys(path, key) {
+    return [...path.map((entry) => entry.binding.containerKey ?? entry.key), key];
+}
+
+/**
+ * Turn the `when` bind option into a test of the resolution path leading to the binding, or `null`
+ * when it is neither `{injectedInto}` nor a predicate. `injectedInto` is compared with the nearest
+ * consumer that is not an alias; predicates receive the keys of the path, outermost first.
+ * @param {unknown} when
+ * @returns {((path: Array<{key: string|Symbol|Function, binding: any}>) => boolean) | null}
+ */
+function contextMatcher(when) {
+    if (typeof when === 'function') {
+        return (path) => Boolean(when(path.map((entry) => entry.binding.containerKey ?? entry.key)));
+    }
+    if (when && typeof when === 'object' && when.injectedInto !== undefined) {
+        const target = resolveKey(when.injectedInto);
+        return (path) => {
+            const consumer = path.findLast((entry) => !entry.binding.isAlias);
+            return (consumer?.binding.containerKey ?? consumer?.key) === target;
+        };
+    }
+    return null;
+}
+
 class DI {
     /** @type {Map<string|Symbol, any>} */
     #container = new Map();
     /** @type {Map<string|Symbol, {func: Function, isSingleton: boolean, lateResolve: boolean, injectable: any}>} */
     #bindings = new Map();
+    /** @type {Map<string|Symbol|Function, Array<{func: Function, matches: Function, when: any, instance: any}>>} Bindings declared with the `when` option */
+    #contextual = new Map();
     /** @type {DI[]} */
     #subModules = [];
     /** @type {DI | null} Parent DI instance when this is a fork */
     #parent = null;
-    /** @type {Set<string|Symbol>} Keys currently mid-resolution in this call-stack */
+    /** @type {Map<string|Symbol|Function, Array<{decorator: Function, order: number}>>} */
+    #decorators = new Map();
+    /** @type {Map<string, Array<{decorator: Function, order: number}>>} Decorators of every binding with a tag */
+    #tagDecorators = new Map();
+    /** @type {Map<string|Symbol|Function, Array<{before?: Function, after?: Function, onError?: Function, around?: Function}>>} */
+    #interceptors = new Map();
+    /** @type {Map<string, Array<{before?: Function, after?: Function, onError?: Function, around?: Function}>>} Interceptors by tag */
+    #tagInterceptors = new Map();
+    /** @type {Set<object>} Bindings currently mid-resolution in this call-stack */
     #resolving = new Set();
-    /** @type {Map<string|Symbol, {instance: any}>} Resolver refs for auto-detected cycle proxies */
+    /** @type {Map<object, {instance: any}>} Resolver refs for auto-detected cycle proxies, by binding */
     #pendingProxies = new Map();
-    /** @type {Array<string|Symbol>} Ordered stack of keys being resolved (used for cycle detection in normal mode) */
+    /** @type {Array<string|Symbol>} Ordered stack of keys being resolved (cycle detection and error chains) */
     #resolutionStack = [];
+    /** @type {Map<string|Symbol|Function|object, number>} Creation sequence of cached singletons (by key, or by container item) */
+    #createdAt = new Map();
+    /** @type {number} */
+    #creationCount = 0;
+    /** @type {Map<object, Promise<unknown>>} Singleton bindings currently being resolved by `getAsync` */
+    #inFlight = new Map();
     /** @type {boolean} */
     #instanceAutoResolveCircular = false;
+    /** @type {boolean} */
+    #strictLifetimes = false;
+    /** @type {boolean} */
+    #wrapErrors = true;
 
     /** @type {boolean} */
     static #autoResolveCircular = false;
@@ -443,8 +1064,37 @@ class DI {
         return this;
     }
 
-    #proxy(binding) {
-        const getter = () => binding.func(this);
+    /**
+     * When enabled on this instance, resolving a transient or fork-scoped binding as a
+     * dependency of a singleton throws instead of letting the singleton capture it.
+     * Forks created afterwards inherit the setting. Opt-in; off by default.
+     * @param {boolean} enabled
+     */
+    strictLifetimes(enabled) {
+        this.#strictLifetimes = Boolean(enabled);
+        return this;
+    }
+
+    /**
+     * When enabled (default), exceptions thrown by binding functions and constructors are
+     * wrapped in a `ResolutionError` listing the resolution path, with the original as `cause`.
+     * Disable it on hot paths to rethrow the original exceptions untouched.
+     * Forks created afterwards inherit the setting.
+     * @param {boolean} enabled
+     */
+    wrapErrors(enabled) {
+        this.#wrapErrors = Boolean(enabled);
+        return this;
+    }
+
+    /**
+     * A `lateResolve` singleton, built on first use. That may happen inside any other factory, so
+     * the instance is built as part of the resolution which requested it: contextual bindings,
+     * lifetime checks and observed dependencies see its actual consumer.
+     */
+    #proxy(key, binding) {
+        const snapshot = { path: [...resolutionPath], hosts: [...delegatingHosts] };
+        const getter = () => resumeResolution(snapshot, () => this.#invoke(key, binding, () => this.#build(key, binding)));
         return new DIProxyBuilder(getter, binding.injectable).build();
     }
 
@@ -456,6 +1106,30 @@ class DI {
         return new DIFactory(fn);
     }
 
+    static optional(injectable, defaultValue) {
+        return new DIOptional(injectable, defaultValue);
+    }
+
+    static lazy(injectable) {
+        return new DILazy(injectable);
+    }
+
+    static provider(injectable) {
+        return new DIProvider(injectable);
+    }
+
+    static param(name) {
+        return new DIParam(name);
+    }
+
+    static named(injectable, name) {
+        return new DINamed(injectable, name);
+    }
+
+    static tagged(tag) {
+        return new DITagged(tag);
+    }
+
     static token(injectable, description) {
         return Token.for(injectable, description);
     }
@@ -478,9 +1152,19 @@ class DI {
     static has(...args) { return (currentSyncContext || globalDI).has(...args); }
     static get(...args) { return (currentSyncContext || globalDI).get(...args); }
     static getAll(...args) { return (currentSyncContext || globalDI).getAll(...args); }
+    static getTagged(...args) { return (currentSyncContext || globalDI).getTagged(...args); }
+    static validate(...args) { return (currentSyncContext || globalDI).validate(...args); }
+    static getAsync(...args) { return (currentSyncContext || globalDI).getAsync(...args); }
+    static getAllAsync(...args) { return (currentSyncContext || globalDI).getAllAsync(...args); }
     static getResolver(...args) { return (currentSyncContext || globalDI).getResolver(...args); }
+    static alias(...args) { return (currentSyncContext || globalDI).alias(...args); }
+    static decorate(...args) { return (currentSyncContext || globalDI).decorate(...args); }
+    static intercept(...args) { return (currentSyncContext || globalDI).intercept(...args); }
+    static removeInterceptor(...args) { return (currentSyncContext || globalDI).removeInterceptor(...args); }
+    static create(...args) { return (currentSyncContext || globalDI).create(...args); }
     static unbind(...args) { return (currentSyncContext || globalDI).unbind(...args); }
     static clear() { return (currentSyncContext || globalDI).clear(); }
+    static dispose(...args) { return (currentSyncContext || globalDI).dispose(...args); }
 
     literal(value) {
         return DI.literal(value);
@@ -490,6 +1174,30 @@ class DI {
         return DI.factory(fn);
     }
 
+    optional(injectable, defaultValue) {
+        return DI.optional(injectable, defaultValue);
+    }
+
+    lazy(injectable) {
+        return DI.lazy(injectable);
+    }
+
+    provider(injectable) {
+        return DI.provider(injectable);
+    }
+
+    param(name) {
+        return DI.param(name);
+    }
+
+    named(injectable, name) {
+        return DI.named(injectable, name);
+    }
+
+    tagged(tag) {
+        return DI.tagged(tag);
+    }
+
     token(injectable, description) {
         return DI.token(injectable, description);
     }
@@ -500,13 +1208,20 @@ class DI {
 
     getBinding(injectable) {
         const key = resolveKey(injectable);
-        const binding = this.#bindings.get(key);
+        // A key bound only contextually reports its first contextual binding
+        let binding = this.#bindings.get(key) ?? this.#contextual.get(key)?.[0];
+        if (binding?.isAlias) {
+            // Aliases report the lifetime of their target
+            const target = this.#aliasTarget(binding);
+            if (target) binding = target;
+        }
         if (binding) {
             if (binding.isContainerBinding) {
                 return binding.items.map(item => ({
                     isSingleton: Boolean(item.isSingleton),
                     lateResolve: Boolean(item.lateResolve),
                     eager: Boolean(item.eager),
+                    scope: item.scope,
                     resolveFunction: item.func,
                 }));
             }
@@ -515,6 +1230,7 @@ class DI {
                     isSingleton: Boolean(binding.isSingleton),
                     lateResolve: Boolean(binding.lateResolve),
                     eager: Boolean(binding.eager),
+                    scope: binding.scope,
                     resolveFunction: binding.func,
                 };
             }
@@ -531,17 +1247,76 @@ class DI {
         return Boolean(this.getBinding(injectable));
     }
 
-    get(injectable, fallbackToValue) {
-        const key = resolveKey(injectable);
+    /**
+     * The binding `get` would resolve for `key` while `path` is being resolved, contextual
+     * bindings included, without running anything.
+     */
+    #bindingFor(key, path) {
+        const contextual = this.#contextualBinding(key, path);
+        if (contextual) return contextual;
         const binding = this.#bindings.get(key);
+        if (binding && (binding.func || binding.isContainerBinding)) return binding;
+        for (const subModule of this.#subModules) {
+            const subBinding = subModule.#bindingFor(key, path);
+            if (subBinding) return subBinding;
+        }
+        return this.#parent?.#bindingFor(key, path);
+    }
 
-        if (!binding || (!binding.func && !binding.isContainerBinding)) {
-            // First we try the subModules
-            for (const subModule of this.#subModules) {
-                if (subModule.has(injectable)) return subModule.get(injectable);
+    /**
+     * Find the raw binding for a key the same way `get` does: own bindings, then sub-modules,
+     * then fork parents.
+     */
+    #findBinding(key) {
+        const binding = this.#bindings.get(key);
+        if (binding && (binding.func || binding.isContainerBinding)) return binding;
+        for (const subModule of this.#subModules) {
+            const subBinding = subModule.#findBinding(key);
+            if (subBinding) return subBinding;
+        }
+        return this.#parent?.#findBinding(key);
+    }
+
+    /**
+     * A binding declared with `{scope: 'fork'}` on a parent is resolved by the fork itself,
+     * against the fork, and cached in the fork. So are inherited transients (aliases included),
+     * which then inject the fork's own instances rather than the parent's. Only singletons are
+     * left to the parent.
+     */
+    #findForkScopedBinding(key) {
+        const inherited = this.#parent?.#findBinding(key);
+        return inherited && !inherited.isContainerBinding && inherited.scope !== 'singleton' ? inherited : undefined;
+    }
+
+    /**
+     * Follow an alias (and aliases of aliases) to the binding it resolves, or `undefined` when
+     * the chain ends at an unbound key or loops.
+     */
+    #aliasTarget(binding) {
+        const seen = new Set();
+        while (binding?.isAlias && !seen.has(binding)) {
+            seen.add(binding);
+            binding = this.#findBinding(resolveKey(binding.target));
+        }
+        return binding?.isAlias ? undefined : binding;
+    }
+
+    get(injectable, fallbackToValue) {
+        const key = resolveKey(injectable);
+        this.#observe(key);
+        const binding = this.#contextualBinding(key, resolutionPath) ?? this.#bindings.get(key);
+
+        if (!binding || (!binding.func && !binding.isContainerBinding)) {
+            // First we try the subModules
+            for (const subModule of this.#subModules) {
+                if (subModule.has(injectable)) return this.#delegate(() => subModule.get(injectable));
             }
 
             // Then delegate to the parent (if this is a fork)
+            const forkScoped = this.#findForkScopedBinding(key);
+            if (forkScoped) {
+                return this.#resolveBinding(key, forkScoped, this.#cacheProvider(key));
+            }
             if (this.#parent && this.#parent.has(injectable)) {
                 return this.#parent.get(injectable);
             }
@@ -553,35 +1328,217 @@ class DI {
              * */
             const isFallbackProvided = arguments.length > 1;
             if (isFallbackProvided) return fallbackToValue;
-            throw new Error(`No binding for injectable "${key}"`);
+            throw new MissingBindingError(this.#missingBindingMessage(key), {
+                key,
+                path: pathKeys(resolutionPath, key),
+            });
         }
 
         if (binding.isContainerBinding) {
             return binding.items.map((item, index) => {
                 const itemKey = Symbol.for(`${String(key)}_${index}`);
-                return this.#resolveBinding(itemKey, item, {
-                    has: () => item.instance !== undefined,
-                    get: () => item.instance,
-                    set: (v) => { item.instance = v; },
-                    delete: () => { item.instance = undefined; }
-                });
+                return this.#resolveBinding(itemKey, item, this.#itemCacheProvider(item));
             });
         }
 
-        return this.#resolveBinding(key, binding, {
+        return this.#resolveBinding(key, binding, this.#bindingCacheProvider(key, binding));
+    }
+
+    /**
+     * Record `key` as a dependency of the custom binding function being run, if any, so the
+     * dependency graph can show it in `observed` mode. Dependency arrays are declared already.
+     * Binding functions only get here through the DI they receive, so the top of the path is theirs,
+     * unless a lazy proxy, a provider or a resolver is resolving in the middle of it.
+     * @param {string|Symbol|Function} key
+     * @param {Array<{key: string|Symbol|Function, binding: any, di: DI}>} [path]
+     */
+    #observe(key, path = resolutionPath) {
+        const entry = path[path.length - 1];
+        const consumer = entry?.binding;
+        if (!consumer?.isFactory || entry === unobservedEntry) return;
+        consumer.observed ??= new Set();
+        if (consumer.observed.has(key)) return;
+        consumer.observed.add(key);
+
+        // Factories declaring their `deps` are warned once per undeclared key
+        if (consumer.rawDeps !== null && isDevelopment() && !this.#declares(consumer, key)) {
+            const format = this.#keyFormatter();
+            console.warn(
+                `mini-inject: the binding function of "${format(consumer.containerKey ?? entry.key)}" ` +
+                `requested "${format(key)}", which is missing from its "deps" option.`,
+            );
+        }
+    }
+
+    /**
+     * Resolve on behalf of a lazy proxy, a provider or a resolver, which may be used while any
+     * binding function runs: what it resolves is not a dependency of that binding function.
+     * @template T
+     * @param {() => T} resolve
+     * @returns {T}
+     */
+    #unobserved(resolve) {
+        const previous = unobservedEntry;
+        unobservedEntry = resolutionPath[resolutionPath.length - 1] ?? null;
+        try {
+            return resolve();
+        } finally {
+            unobservedEntry = previous;
+        }
+    }
+
+    /** Whether `key` is one of the dependencies declared with the `deps` bind option. */
+    #declares(binding, key) {
+        return binding.rawDeps.some((dep) => {
+            if (dep instanceof DITagged) return this.#taggedKeys(dep.tag).includes(key);
+            const target = dependencyTarget(dep);
+            return target !== null && resolveKey(target) === key;
+        });
+    }
+
+    /**
+     * The contextual binding (`{when}` bind option) of `key` matching the resolution `path`, if any.
+     * @param {string|Symbol|Function} key
+     * @param {Array<{key: string|Symbol|Function, binding: any}>} path
+     */
+    #contextualBinding(key, path) {
+        return this.#contextual.get(key)?.find((binding) => binding.matches(path));
+    }
+
+    /** Contextual bindings cache their singleton on the binding, like container items. */
+    #bindingCacheProvider(key, binding) {
+        return binding.matches ? this.#itemCacheProvider(binding) : this.#cacheProvider(key);
+    }
+
+    #cacheProvider(key) {
+        return {
             has: () => this.#container.has(key),
             get: () => this.#container.get(key),
-            set: (v) => this.#container.set(key, v),
+            set: (v) => {
+                this.#createdAt.set(key, this.#creationCount++);
+                this.#container.set(key, v);
+            },
             delete: () => this.#container.delete(key)
+        };
+    }
+
+    #itemCacheProvider(item) {
+        return {
+            has: () => item.instance !== undefined,
+            get: () => item.instance,
+            set: (v) => {
+                this.#createdAt.set(item, this.#creationCount++);
+                item.instance = v;
+            },
+            delete: () => { item.instance = undefined; }
+        };
+    }
+
+    /**
+     * Call `func` with the binding pushed on this module's resolution stack and on the
+     * shared resolution path.
+     */
+    #invoke(key, binding, func) {
+        this.#resolutionStack.push(key);
+        resolutionPath.push({ key, binding, di: this });
+        try {
+            return func();
+        } catch (err) {
+            throw this.#resolutionError(err, resolutionPath);
+        } finally {
+            resolutionPath.pop();
+            this.#resolutionStack.pop();
+        }
+    }
+
+    /**
+     * Wrap an exception thrown by a binding function in a `ResolutionError` naming the path that
+     * led to it. mini-inject's own errors already carry their path and are returned untouched.
+     * @param {unknown} err
+     * @param {Array<{key: string|Symbol|Function, binding: any}>} path resolution path ending with the failing binding
+     */
+    #resolutionError(err, path) {
+        if (err instanceof DIError || !this.#wrapErrors) return err;
+        const failing = path[path.length - 1];
+        const keys = pathKeys(path.slice(0, -1), failing.binding.containerKey ?? failing.key);
+        const format = this.#keyFormatter();
+        const message = err instanceof Error ? err.message : String(err);
+        return new ResolutionError(`Failed to resolve ${keys.map(format).join(' → ')}: ${message}`, {
+            key: keys[keys.length - 1],
+            path: keys,
+            cause: err,
+        });
+    }
+
+    /**
+     * @param {string|Symbol|Function} key the key closing the cycle
+     * @param {string} hint how to break the cycle
+     */
+    #circularDependencyError(key, hint) {
+        const format = this.#keyFormatter();
+        const chain = [...this.#resolutionStack, key].map(format).join(' → ');
+        return new CircularDependencyError(`Circular dependency detected: ${chain}. ${hint}`, {
+            key,
+            path: pathKeys(resolutionPath, key),
         });
     }
 
+    /**
+     * In strict mode, throw when a singleton consumer (the last entry of `path`) is about to
+     * capture a transient or fork-scoped binding.
+     */
+    #checkLifetime(key, binding, path) {
+        // Aliases share the lifetime of their target, which is checked when the alias resolves it
+        if (binding.isAlias) return;
+        const consumer = path.findLast((entry) => !entry.binding.isAlias);
+        if (!consumer || binding.scope === 'singleton' || consumer.binding.scope !== 'singleton') return;
+        if (!this.#strictLifetimes && !consumer.di.#strictLifetimes) return;
+        // Binding functions may use a dependency without keeping it: only declared ones are captive
+        if (consumer.binding.isFactory && (consumer.binding.rawDeps === null ||
+            !consumer.di.#declares(consumer.binding, binding.containerKey ?? key))) return;
+
+        const format = this.#keyFormatter();
+        const consumerKey = format(consumer.binding.containerKey ?? consumer.key);
+        const depKey = format(binding.containerKey ?? key);
+        throw new ResolutionError(
+            `Captive dependency detected: singleton "${consumerKey}" depends on ` +
+            `${SCOPE_LABELS[binding.scope]} "${depKey}". The singleton would keep a single ` +
+            `"${depKey}" instance forever; inject a resolver ("getResolver") or align the lifetimes.`,
+            {
+                code: 'ERR_DI_CAPTIVE_DEPENDENCY',
+                key: binding.containerKey ?? key,
+                path: pathKeys(path, binding.containerKey ?? key),
+            },
+        );
+    }
+
     #resolveBinding(key, binding, cacheProvider) {
+        this.#checkLifetime(key, binding, resolutionPath);
         if (!binding.isSingleton) {
-            return binding.func(this);
+            // A cycle made of transients only can never be closed with a proxy (every request
+            // creates a new instance): fail with the chain instead of overflowing the stack.
+            // Cycles through a singleton are left to the singleton handling below.
+            const start = resolutionPath.findLastIndex((entry) => entry.di === this && entry.binding === binding);
+            const cycle = start === -1 ? [] : resolutionPath.slice(start);
+            if (cycle.length > 0 && cycle.every((entry) => entry.binding.isAlias)) {
+                throw this.#circularDependencyError(key, `Aliases can not point back to themselves; bind one of the keys instead.`);
+            }
+            if (cycle.length > 0 && cycle.every((entry) => !entry.binding.isSingleton)) {
+                throw this.#circularDependencyError(key,
+                    DI.#autoResolveCircular || this.#instanceAutoResolveCircular
+                        ? `"autoResolveCircularDependencies" can not proxy transient bindings; ` +
+                          `make one of the bindings a singleton or inject a resolver ("getResolver") on one side of the cycle.`
+                        : `Transient bindings can not be proxied; make one of the bindings a singleton with ` +
+                          `"lateResolve: true" or inject a resolver ("getResolver") on one side of the cycle.`,
+                );
+            }
+            return this.#invoke(key, binding, () => this.#build(key, binding));
+        } else if (!cacheProvider.has() && this.#inFlight.has(binding)) {
+            // An async resolution is already creating this singleton: share its promise
+            return this.#inFlight.get(binding);
         } else if (!cacheProvider.has()) {
             if (DI.#autoResolveCircular || this.#instanceAutoResolveCircular) {
-                if (this.#resolving.has(key)) {
+                if (this.#resolving.has(binding)) {
                     // Cycle detected at runtime: create a Proxy now so the caller
                     // gets a valid (lazily-resolved) reference. The real instance
                     // will be set into resolverRef once the outer factory returns.
@@ -591,63 +1548,451 @@ class DI {
                         binding.injectable,
                     ).build();
                     cacheProvider.set(proxy);
-                    this.#pendingProxies.set(key, resolverRef);
+                    this.#pendingProxies.set(binding, resolverRef);
                 } else {
-                    this.#resolving.add(key);
+                    this.#resolving.add(binding);
                     try {
-                        const instance = binding.func(this);
-                        if (this.#pendingProxies.has(key)) {
+                        const instance = this.#invoke(key, binding, () => this.#build(key, binding));
+                        if (this.#pendingProxies.has(binding)) {
                             // A cycle proxy was created for this key during its own
                             // resolution. Wire the real instance into it and keep the
                             // Proxy as the singleton in the container.
-                            this.#pendingProxies.get(key).instance = instance;
-                            this.#pendingProxies.delete(key);
+                            this.#pendingProxies.get(binding).instance = instance;
+                            this.#pendingProxies.delete(binding);
                         } else {
                             // No cycle: store the real instance directly.
-                            cacheProvider.set(instance);
+                            this.#cacheInstance(cacheProvider, instance);
                         }
                     } finally {
-                        this.#resolving.delete(key);
+                        this.#resolving.delete(binding);
                         // If the factory threw after a proxy was already created,
                         // remove the dangling proxy so the key is re-resolvable.
-                        if (this.#pendingProxies.has(key)) {
-                            this.#pendingProxies.delete(key);
+                        if (this.#pendingProxies.has(binding)) {
+                            this.#pendingProxies.delete(binding);
                             cacheProvider.delete();
                         }
                     }
                 }
             } else if (binding.lateResolve) {
-                cacheProvider.set(this.#proxy(binding));
+                cacheProvider.set(this.#proxy(key, binding));
             } else {
-                if (this.#resolutionStack.includes(key)) {
-                    const chain = [...this.#resolutionStack, key].map((k) => String(k)).join(' → ');
-                    throw new Error(
-                        `Circular dependency detected: ${chain}. ` +
+                if (resolutionPath.some((entry) => entry.di === this && entry.binding === binding)) {
+                    throw this.#circularDependencyError(key,
                         `Use "lateResolve: true" on one of the bindings or enable ` +
                         `"autoResolveCircularDependencies" to resolve it automatically.`,
                     );
                 }
-                this.#resolutionStack.push(key);
-                try {
-                    const instance = binding.func(this);
-                    cacheProvider.set(instance);
-                } finally {
-                    this.#resolutionStack.pop();
-                }
+                const instance = this.#invoke(key, binding, () => this.#build(key, binding));
+                this.#cacheInstance(cacheProvider, instance);
             }
         }
         return cacheProvider.get();
     }
 
+    /**
+     * Cache a singleton built by a synchronous `get`. An async binding yields a promise: it is
+     * evicted if it rejects, so the next `get` or `getAsync` retries instead of rejecting forever.
+     */
+    #cacheInstance(cacheProvider, instance) {
+        cacheProvider.set(instance);
+        if (instance && typeof instance.then === 'function') {
+            instance.then(undefined, () => {
+                if (cacheProvider.has() && cacheProvider.get() === instance) cacheProvider.delete();
+            });
+        }
+    }
+
+    /**
+     * Run the binding function and pass the result through the decorators of its key.
+     * @param {string|Symbol|Function} key
+     * @param {any} binding
+     * @param {Record<string, unknown>} [params] call-site params given to `create`
+     */
+    #build(key, binding, params) {
+        const instance = binding.func(this, params);
+        // Aliases are never decorated themselves: the target they resolve already is
+        if (binding.isAlias) return instance;
+        return this.#decoratorsFor(binding.containerKey ?? key, binding).reduce((value, decorator) => decorator(value, this), instance);
+    }
+
+    /**
+     * Decorators registered for a key or for one of the binding's tags, in registration order.
+     * They are collected from this module, its sub-modules and fork parents, and from the modules
+     * which handed the resolution over to it. Other modules a shared sub-module is attached to do
+     * not decorate what it builds here.
+     * @param {string|Symbol|Function} key
+     * @param {{tags?: string[]}} binding
+     * @param {DI[]} [hosts] Modules which delegated the current resolution to this one
+     * @returns {Function[]}
+     */
+    #decoratorsFor(key, binding, hosts = delegatingHosts) {
+        if (decoratorCount === 0) return [];
+        const found = [];
+        const visited = new Set();
+        const visit = (di) => {
+            if (!di || visited.has(di)) return;
+            visited.add(di);
+            found.push(...(di.#decorators.get(key) ?? []));
+            for (const tag of binding.tags ?? []) found.push(...(di.#tagDecorators.get(tag) ?? []));
+            di.#subModules.forEach(visit);
+            visit(di.#parent);
+        };
+        visit(this);
+        hosts.forEach(visit);
+        return found.sort((a, b) => a.order - b.order).map((entry) => entry.decorator);
+    }
+
+    /**
+     * Runs a resolution handed over to a sub-module, so this module's decorators and interceptors
+     * apply to what the sub-module builds for it.
+     * @template T
+     * @param {() => T} resolve
+     * @returns {T}
+     */
+    #delegate(resolve) {
+        delegatingHosts.push(this);
+        try {
+            return resolve();
+        } finally {
+            delegatingHosts.pop();
+        }
+    }
+
+    /**
+     * Creates a key formatter seeded with every key visible from this module (own bindings,
+     * sub-modules and fork parents), so same-named keys get the same suffix as in the graph.
+     * @returns {(key: string|Symbol|Function) => string}
+     */
+    #keyFormatter() {
+        const format = createKeyFormatter();
+        for (const key of this.#visibleKeys()) format(key);
+        return format;
+    }
+
+    /**
+     * Every binding key visible from this module: own bindings, then sub-modules, then fork parents.
+     * @returns {Set<string|Symbol|Function>}
+     */
+    #visibleKeys() {
+        const keys = new Set();
+        const visit = (diInstance) => {
+            for (const key of diInstance.#bindings.keys()) keys.add(key);
+            for (const key of diInstance.#contextual.keys()) keys.add(key);
+            for (const sub of diInstance.#subModules) visit(sub);
+            if (diInstance.#parent) visit(diInstance.#parent);
+        };
+        visit(this);
+        return keys;
+    }
+
+    /**
+     * "No binding" message for `key`, pointing out a bound key with the same name but a different
+     * identity (a Token created twice, a re-declared class) and otherwise the closest bound keys.
+     * @param {string|Symbol|Function} key
+     * @param {Array<{key: string|Symbol|Function, binding: any}>} [path] the resolution requesting `key`
+     */
+    #missingBindingMessage(key, path = resolutionPath) {
+        const keys = [...this.#visibleKeys()];
+        const format = this.#keyFormatter();
+        const name = formatKey(key);
+        const kind = identityKind(key);
+        const twins = keys.filter((other) => other !== key && formatKey(other) === name);
+        // The `@n` suffix only tells apart keys of the same kind sharing a name
+        const sameKindTwin = twins.find((other) => identityKind(other) === kind);
+        let message = `No binding for injectable "${sameKindTwin === undefined ? name : format(key)}"`;
+
+        if (this.#contextual.has(key)) {
+            const consumer = path.findLast((entry) => !entry.binding.isAlias);
+            const consumerText = consumer ? `"${format(consumer.binding.containerKey ?? consumer.key)}"` : 'a direct "get"';
+            return `${message} matches ${consumerText}: it is only bound with the "when" option. ` +
+                `Add a binding without "when" to cover the other consumers.`;
+        }
+
+        if (sameKindTwin !== undefined) {
+            return `${message}. A different ${kind} with the same name is bound as "${format(sameKindTwin)}": ` +
+                `keys are matched by identity, so use the exact ${kind} passed to "bind".`;
+        }
+        if (twins.length > 0) {
+            const twinKind = identityKind(twins[0]);
+            return `${message}. A ${twinKind} key with the same name is bound as "${format(twins[0])}": ` +
+                `a ${kind} key never matches a ${twinKind} key, so request it with the ${twinKind} passed to "bind".`;
+        }
+
+        const suggestions = closestNames(name, keys.map((other) => [formatKey(other), format(other)]));
+        if (suggestions.length > 0) {
+            const quoted = suggestions.map((suggestion) => `"${suggestion}"`);
+            const list = quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+            message += `. Did you mean ${list}?`;
+        }
+        return message;
+    }
+
     getAll(...injectables) {
         return injectables.map((injectable) => this.get(injectable));
     }
 
+    /**
+     * Instances of every binding tagged with `tag`, in the order `#taggedKeys` finds them.
+     * @param {string} tag
+     */
+    getTagged(tag) {
+        return this.#taggedKeys(tag).map((key) => this.get(key));
+    }
+
+    /**
+     * Keys of the bindings tagged with `tag` which `get` would resolve: own bindings, then
+     * sub-modules, then fork parents. A key bound again closer to this module hides the farther
+     * binding, tagged or not.
+     * @param {string} tag
+     */
+    #taggedKeys(tag) {
+        assertTag(tag);
+        const seen = new Set();
+        const keys = [];
+        const visit = (diInstance) => {
+            for (const [key, binding] of diInstance.#bindings) {
+                if (seen.has(key)) continue;
+                seen.add(key);
+                if (binding.tags?.includes(tag)) keys.push(key);
+            }
+            diInstance.#subModules.forEach(visit);
+            if (diInstance.#parent) visit(diInstance.#parent);
+        };
+        visit(this);
+        return keys;
+    }
+
+    getAsync(injectable, fallbackToValue) {
+        // Called from a binding function, the dependency is resolved for that binding
+        return this.#getAsync(injectable, [...resolutionPath], ...(arguments.length > 1 ? [fallbackToValue] : []));
+    }
+
+    getAllAsync(...injectables) {
+        return Promise.all(injectables.map((injectable) => this.getAsync(injectable)));
+    }
+
+    /**
+     * Async counterpart of `get`. `path` holds the bindings being resolved by the current
+     * chain of dependency arrays; it is passed along explicitly because concurrent
+     * resolutions can not share a single stack.
+     * @param {any} injectable
+     * @param {Array<{key: string|Symbol|Function, binding: any, di: DI}>} path
+     * @param {...unknown} fallback
+     * @returns {Promise<unknown>}
+     */
+    async #getAsync(injectable, path, ...fallback) {
+        const key = resolveKey(injectable);
+        this.#observe(key, path);
+        const binding = this.#contextualBinding(key, path) ?? this.#bindings.get(key);
+
+        if (!binding || (!binding.func && !binding.isContainerBinding)) {
+            for (const subModule of this.#subModules) {
+                if (subModule.has(injectable)) return this.#delegate(() => subModule.#getAsync(injectable, path));
+            }
+
+            const forkScoped = this.#findForkScopedBinding(key);
+            if (forkScoped) {
+                return this.#resolveBindingAsync(key, forkScoped, path, this.#cacheProvider(key));
+            }
+            if (this.#parent && this.#parent.has(injectable)) {
+                return this.#parent.#getAsync(injectable, path);
+            }
+
+            if (fallback.length > 0) return fallback[0];
+            throw new MissingBindingError(this.#missingBindingMessage(key), {
+                key,
+                path: pathKeys(path, key),
+            });
+        }
+
+        if (binding.isContainerBinding) {
+            return Promise.all(binding.items.map((item) => {
+                return this.#resolveBindingAsync(key, item, path, this.#itemCacheProvider(item));
+            }));
+        }
+
+        return this.#resolveBindingAsync(key, binding, path, this.#bindingCacheProvider(key, binding));
+    }
+
+    #resolveBindingAsync(key, binding, path, cacheProvider) {
+        if (binding.isSingleton && cacheProvider.has()) return cacheProvider.get();
+
+        if (path.some((entry) => entry.binding === binding)) {
+            const format = this.#keyFormatter();
+            const chain = [...path.map((entry) => entry.key), key].map(format).join(' → ');
+            throw new CircularDependencyError(
+                `Circular dependency detected: ${chain}. ` +
+                `Async resolution can not break cycles with proxies, ` +
+                `inject a resolver ("getResolver") on one side of the cycle instead.`,
+                { key, path: pathKeys(path, key) },
+            );
+        }
+        this.#checkLifetime(key, binding, path);
+        // Modules which delegated this resolution, kept on the path for the dependencies resolved later
+        const hosts = [...new Set([...(path.at(-1)?.hosts ?? []), ...delegatingHosts])];
+        const decorators = binding.isAlias ? [] : this.#decoratorsFor(binding.containerKey ?? key, binding, hosts);
+        const nextPath = [...path, { key, binding, di: this, hosts }];
+        // Deferred so a singleton's promise is registered before any dependency is requested
+        const create = () => Promise.resolve()
+            .then(() => (binding.isFactory ? this.#runAsyncFactory(binding, nextPath) : binding.asyncFunc(this, nextPath)))
+            .then((instance) => decorators.reduce(
+                (decorated, decorator) => decorated.then((value) => decorator(value, this)),
+                Promise.resolve(instance),
+            ))
+            .catch((err) => { throw this.#resolutionError(err, nextPath); });
+
+        if (!binding.isSingleton) return create();
+
+        if (this.#inFlight.has(binding)) return this.#inFlight.get(binding);
+
+        const promise = create()
+            .then(
+                (instance) => {
+                    this.#inFlight.delete(binding);
+                    cacheProvider.set(instance);
+                    return instance;
+                },
+                (err) => {
+                    // Rejections are never cached so the next call retries
+                    this.#inFlight.delete(binding);
+                    throw err;
+                },
+            );
+        this.#inFlight.set(binding, promise);
+        return promise;
+    }
+
+    /**
+     * Run a custom async binding function as part of its resolution. What it requests before its
+     * first `await`, or through the DI it receives until it settles, is resolved for its binding:
+     * contextual bindings, lifetime checks and observed dependencies see it as the consumer.
+     * @param {any} binding
+     * @param {Array<{key: string|Symbol|Function, binding: any, di: DI, hosts: DI[]}>} path path ending with the binding
+     */
+    #runAsyncFactory(binding, path) {
+        const snapshot = { path, hosts: path[path.length - 1].hosts };
+        let settled = false;
+        // Calls made after the binding function settled, e.g. by an instance keeping the DI, are not part of it
+        const di = new Proxy(this, {
+            get: (target, prop) => {
+                const value = Reflect.get(target, prop, target);
+                if (typeof value !== 'function') return value;
+                return (...args) => (settled ? value.apply(target, args) : resumeResolution(snapshot, () => value.apply(target, args)));
+            },
+        });
+        return Promise.resolve(resumeResolution(snapshot, () => binding.asyncFunc(di, path)))
+            .finally(() => { settled = true; });
+    }
+
+    /**
+     * Resolve one entry of a dependency array: a literal, a factory, a marker or an injectable.
+     * @param {unknown} dep
+     * @param {Record<string, unknown>} [params] call-site params given to `create`
+     */
+    #resolveDependency(dep, params) {
+        if (dep instanceof DILiteral) return dep.value;
+        if (dep instanceof DIFactory) return dep.get(this);
+        if (dep instanceof DIOptional) return this.get(dep.injectable, dep.defaultValue);
+        if (dep instanceof DILazy) return this.#lazyProxy(dep.injectable);
+        if (dep instanceof DIProvider) return this.#provide(dep.injectable);
+        if (dep instanceof DIParam) return this.#param(dep.name, params, resolutionPath);
+        if (dep instanceof DITagged) return this.getTagged(dep.tag);
+        return this.get(dep);
+    }
+
+    /**
+     * Async counterpart of `#resolveDependency`.
+     * @param {unknown} dep
+     * @param {Array<{key: string|Symbol|Function, binding: any, di: DI}>} path
+     */
+    #resolveDependencyAsync(dep, path) {
+        if (dep instanceof DILiteral) return dep.value;
+        if (dep instanceof DIFactory) return dep.get(this);
+        if (dep instanceof DIOptional) return this.#getAsync(dep.injectable, path, dep.defaultValue);
+        if (dep instanceof DILazy) return this.#lazyProxy(dep.injectable);
+        if (dep instanceof DIProvider) return this.#provide(dep.injectable);
+        if (dep instanceof DIParam) return this.#param(dep.name, undefined, path);
+        if (dep instanceof DITagged) {
+            return Promise.all(this.#taggedKeys(dep.tag).map((key) => this.#getAsync(key, path)));
+        }
+        return this.#getAsync(dep, path);
+    }
+
+    /**
+     * The function injected for `provider(injectable)`: `get` when called without arguments,
+     * `create` with the given params otherwise. Defaulted so its `length` stays 0.
+     */
+    #provide(injectable) {
+        return (params = undefined) => this.#unobserved(() => (
+            params === undefined ? this.get(injectable) : this.create(injectable, params)
+        ));
+    }
+
+    /**
+     * Value of a `param(name)` placeholder. The consumer is the last entry of `path`.
+     * @param {string} name
+     * @param {Record<string, unknown> | undefined} params
+     * @param {Array<{key: string|Symbol|Function, binding: any}>} path
+     */
+    #param(name, params, path) {
+        if (params !== undefined && Object.hasOwn(params, name)) return params[name];
+        const consumer = path[path.length - 1];
+        const key = consumer ? consumer.binding.containerKey ?? consumer.key : undefined;
+        const target = key === undefined ? 'injectable' : `"${this.#keyFormatter()(key)}"`;
+        throw new ResolutionError(
+            `Missing param "${name}" for ${target}: pass it with "create(injectable, { ${name} })"`,
+            { code: 'ERR_DI_MISSING_PARAM', key, path: path.map((entry) => entry.binding.containerKey ?? entry.key) },
+        );
+    }
+
+    create(injectable, params) {
+        const key = resolveKey(injectable);
+        this.#observe(key);
+        let binding = this.#contextualBinding(key, resolutionPath) ?? this.#bindings.get(key);
+
+        if (!binding || (!binding.func && !binding.isContainerBinding)) {
+            for (const subModule of this.#subModules) {
+                if (subModule.has(injectable)) return this.#delegate(() => subModule.create(injectable, params));
+            }
+            binding = this.#findForkScopedBinding(key);
+            if (!binding && this.#parent && this.#parent.has(injectable)) {
+                return this.#parent.create(injectable, params);
+            }
+            if (!binding) {
+                throw new MissingBindingError(this.#missingBindingMessage(key), {
+                    key,
+                    path: pathKeys(resolutionPath, key),
+                });
+            }
+        }
+        if (binding.isContainerBinding) {
+            throw new InvalidBindingError(
+                `"create" can not be used with containers, got "${this.#keyFormatter()(key)}"`,
+                { key },
+            );
+        }
+
+        // A new instance on every call: the lifetime of the binding is ignored and nothing is cached
+        return this.#invoke(key, binding, () => this.#build(key, binding, params ?? {}));
+    }
+
+    /**
+     * A proxy which resolves `injectable` from this module (with `get`) on first access.
+     * @param {unknown} injectable
+     */
+    #lazyProxy(injectable) {
+        // The shell takes the prototype of the class so `instanceof` works before resolution
+        let target = injectable instanceof DINamed ? injectable.injectable : injectable;
+        if (target instanceof Token) target = target.value;
+        return new DIProxyBuilder(() => this.#unobserved(() => this.get(injectable)), isClass(target) ? target : null).build();
+    }
+
     getResolver(injectable) {
+        this.#observe(resolveKey(injectable));
         const _this = this;
         return {
             get() {
-                return _this.get.call(_this, injectable, ...arguments);
+                return _this.#unobserved(() => _this.get.call(_this, injectable, ...arguments));
             },
         };
     }
@@ -655,69 +2000,217 @@ class DI {
     /**
      * Build a dependency graph for this DI module (and any attached sub-modules).
      * Bindings declared with an array of dependencies are fully described; bindings
-     * declared with a custom factory function are marked with `deps: null`.
-     * @returns {{nodes: any[], edges: any[], cycles: string[][]}}
+     * declared with a custom factory function are marked with `deps: null`, unless they
+     * list their dependencies with the `deps` bind option.
+     * @param {{observed?: boolean, parents?: boolean}} [opts]
+     * @returns {{nodes: any[], edges: any[], cycles: string[][], warnings: any[], missing: any[]}}
      */
-    getDependencyGraph() {
-        return DI.getDependencyGraph(this);
+    getDependencyGraph(opts) {
+        return DI.getDependencyGraph(this, opts);
     }
 
     /**
      * Build a dependency graph for the given DI module.
+     * With `observed: true`, the keys custom factory functions requested when they ran are added
+     * to their nodes (`observed`) and as `observed` edges. With `parents: true`, the bindings of
+     * fork parents are added too and each node gets the `origin` of its binding.
      * @param {DI} di
-     * @returns {{nodes: any[], edges: any[], cycles: string[][]}}
+     * @param {{observed?: boolean, parents?: boolean}} [opts]
+     * @returns {{nodes: any[], edges: any[], cycles: string[][], warnings: any[], missing: any[]}}
      */
-    static getDependencyGraph(di) {
+    static getDependencyGraph(di, opts) {
+        const { observed = false, parents = false } = opts || {};
         const nodes = [];
         const nodeKeySet = new Set();
+        // Display key -> lifetime that a singleton consumer would capture ('transient' | 'fork')
+        const capturedScopeOf = new Map();
+        // [consumer, dependency] display keys -> node of the contextual binding injected instead
+        const contextualNodeOf = new Map();
+        /** Node field listing the keys custom binding functions requested, in `observed` mode */
+        const describeObserved = (...bindings) => {
+            if (!observed) return {};
+            const keys = new Set();
+            for (const binding of bindings) {
+                for (const key of binding.observed ?? []) {
+                    // Keys declared with the "deps" option are edges already
+                    if (binding.rawDeps === null || !di.#declares(binding, key)) keys.add(format(key));
+                }
+            }
+            return keys.size > 0 ? { observed: [...keys] } : {};
+        };
+        const format = createKeyFormatter();
+
+        // Name every bound key up-front so bindings win the un-suffixed display names
+        (function prime(diInstance) {
+            for (const key of diInstance.#bindings.keys()) format(key);
+            for (const sub of diInstance.#subModules) prime(sub);
+            if (parents && diInstance.#parent) prime(diInstance.#parent);
+        })(di);
+
+        // With `parents`, every node tells which container it comes from
+        const describeOrigin = (origin) => (parents ? { origin } : {});
+
+        /**
+         * Node of a binding shown as `displayKey`: the binding itself, or a fork parent binding
+         * overridden closer to the module (shown without edges).
+         */
+        function describeBinding(diInstance, key, binding, displayKey, isSubModule, origin, hosts) {
+            if (binding.isContainerBinding) {
+                const allDeps = [];
+                binding.items.forEach(item => {
+                    if (item.rawDeps) allDeps.push(...describeRawDeps(item.rawDeps, format));
+                });
+                if (binding.items.some(item => item.scope === 'transient')) {
+                    capturedScopeOf.set(displayKey, 'transient');
+                }
+                return {
+                    key: displayKey,
+                    isSingleton: false,
+                    scope: 'transient',
+                    lateResolve: false,
+                    isSubModule,
+                    ...describeOrigin(origin),
+                    ...describeDecorators(diInstance.#decoratorsFor(key, binding, hosts)),
+                    ...describeObserved(...binding.items),
+                    deps: allDeps.length > 0 ? allDeps : null,
+                };
+            }
+            if (binding.isAlias) {
+                // Aliases are shown with the lifetime of the binding they resolve to
+                const target = diInstance.#aliasTarget(binding);
+                const scope = !target || target.isContainerBinding ? 'transient' : target.scope;
+                const captured = target?.isContainerBinding
+                    ? target.items.some(item => item.scope === 'transient')
+                    : target && scope !== 'singleton';
+                if (captured) {
+                    capturedScopeOf.set(displayKey, scope);
+                }
+                const targetKey = format(resolveKey(binding.target));
+                return {
+                    key: displayKey,
+                    isSingleton: scope !== 'transient',
+                    scope,
+                    lateResolve: false,
+                    isSubModule,
+                    ...describeOrigin(origin),
+                    aliasOf: targetKey,
+                    deps: [{ type: 'alias', key: targetKey }],
+                };
+            }
+            if (binding.scope !== 'singleton') capturedScopeOf.set(displayKey, binding.scope);
+            return {
+                key: displayKey,
+                isSingleton: binding.isSingleton,
+                scope: binding.scope,
+                lateResolve: binding.lateResolve,
+                isSubModule,
+                ...describeOrigin(origin),
+                ...(binding.when === undefined ? {} : {
+                    contextOf: format(key),
+                    when: describeContextual(key, binding, format, diInstance.#contextual.get(key).indexOf(binding) + 1).when,
+                }),
+                ...describeDecorators(diInstance.#decoratorsFor(key, binding, hosts)),
+                ...(binding.tags?.length > 0 ? { tags: [...binding.tags] } : {}),
+                ...describeObserved(binding),
+                deps: binding.rawDeps !== null ? describeRawDeps(binding.rawDeps, format) : null,
+            };
+        }
 
-        function collect(diInstance, isSubModule) {
-            for (const [key, binding] of diInstance.#bindings) {
-                const displayKey = formatKey(key);
-                if (nodeKeySet.has(displayKey)) continue; // parent takes precedence
-                nodeKeySet.add(displayKey);
-
-                if (binding.isContainerBinding) {
-                    const allDeps = [];
-                    binding.items.forEach(item => {
-                        if (item.rawDeps) allDeps.push(...describeRawDeps(item.rawDeps));
-                    });
-                    nodes.push({
-                        key: displayKey,
-                        isSingleton: false,
-                        lateResolve: false,
-                        isSubModule,
-                        deps: allDeps.length > 0 ? allDeps : null,
-                    });
-                } else {
+        /**
+         * Add the node of a binding, unless a closer module already showed `displayKey`.
+         * Modules take precedence over their sub-modules, forks over their parents; overridden
+         * fork parent bindings are still shown, as shadowed nodes.
+         * @returns {boolean} whether the binding got its own node
+         */
+        function addNode(diInstance, key, binding, displayKey, isSubModule, origin, hosts) {
+            if (nodeKeySet.has(displayKey)) {
+                const shadowedKey = `${displayKey} (shadowed)`;
+                if (origin === 'parent' && !nodeKeySet.has(shadowedKey)) {
+                    nodeKeySet.add(shadowedKey);
                     nodes.push({
-                        key: displayKey,
-                        isSingleton: binding.isSingleton,
-                        lateResolve: binding.lateResolve,
-                        isSubModule,
-                        deps: binding.rawDeps !== null ? describeRawDeps(binding.rawDeps) : null,
+                        ...describeBinding(diInstance, key, binding, shadowedKey, isSubModule, origin, hosts),
+                        shadowed: true,
                     });
                 }
+                return false;
+            }
+            nodeKeySet.add(displayKey);
+            nodes.push(describeBinding(diInstance, key, binding, displayKey, isSubModule, origin, hosts));
+            return true;
+        }
+
+        function collect(diInstance, isSubModule, origin, hosts = []) {
+            for (const [key, binding] of diInstance.#bindings) {
+                addNode(diInstance, key, binding, format(key), isSubModule, origin, hosts);
+            }
+            for (const [key, contextual] of diInstance.#contextual) {
+                const contextOf = format(key);
+                for (const [index, binding] of contextual.entries()) {
+                    const { displayKey, when } = describeContextual(key, binding, format, index + 1);
+                    if (!addNode(diInstance, key, binding, displayKey, isSubModule, origin, hosts)) continue;
+                    if (when.injectedInto !== undefined) {
+                        contextualNodeOf.set(JSON.stringify([when.injectedInto, contextOf]), displayKey);
+                    }
+                }
             }
             for (const sub of diInstance.#subModules) {
-                collect(sub, true);
+                collect(sub, true, origin === 'parent' ? 'parent' : 'sub-module', [...hosts, diInstance]);
             }
         }
 
-        collect(di, false);
+        // A module without a parent is the root of the graph, not a fork
+        collect(di, false, di.#parent ? 'fork' : 'root');
+        if (parents) {
+            for (let parent = di.#parent; parent; parent = parent.#parent) collect(parent, false, 'parent');
+        }
 
-        // Build edges — only between known nodes, deduped
+        // Without `parents`, the keys a fork resolves from its parents are inherited, not missing
+        const inheritedKeys = new Set();
+        if (!parents && di.#parent) {
+            for (const key of di.#parent.#visibleKeys()) {
+                if (di.#parent.#findBinding(key)) inheritedKeys.add(format(key));
+            }
+        }
+        // Keys bound with predicate conditions may match any consumer: never report them missing
+        const predicateKeys = new Set(nodes.filter((node) => node.when?.predicate !== undefined).map((node) => node.contextOf));
+        // Build edges, deduped. Edges to unknown nodes are kept as inherited or missing, except optional
+        // dependencies (which have their default) and observed keys (which may have had a fallback).
         const edges = [];
+        const missing = [];
         const edgeSeen = new Set();
         for (const node of nodes) {
-            if (!node.deps) continue;
-            for (const dep of node.deps) {
-                if (dep.type !== 'injectable') continue;
-                if (!nodeKeySet.has(dep.key)) continue;
-                const edgeKey = JSON.stringify([node.key, dep.key]);
-                if (edgeSeen.has(edgeKey)) continue;
-                edgeSeen.add(edgeKey);
-                edges.push({ from: node.key, to: dep.key, isCircular: false });
+            if (node.shadowed) continue;
+            const deps = [...(node.deps ?? []), ...(node.observed ?? []).map((key) => ({ type: 'observed', key }))];
+            for (const dep of deps) {
+                // Tags point at every tagged node, consumers with a contextual binding of the
+                // dependency at that binding
+                const targets = dep.type === 'tagged'
+                    ? nodes.filter((other) => other.tags?.includes(dep.tag)).map((other) => other.key)
+                    : EDGE_DEP_TYPES.has(dep.type) ? [contextualNodeOf.get(JSON.stringify([node.key, dep.key])) ?? dep.key] : [];
+                for (const to of targets) {
+                    const isInherited = !nodeKeySet.has(to) && inheritedKeys.has(to);
+                    const isMissing = !nodeKeySet.has(to) && !isInherited;
+                    if (isMissing && (dep.type === 'optional' || dep.type === 'observed' || predicateKeys.has(to))) continue;
+                    const edgeKey = JSON.stringify([node.key, to]);
+                    if (edgeSeen.has(edgeKey)) continue;
+                    edgeSeen.add(edgeKey);
+                    edges.push({
+                        from: node.key,
+                        to,
+                        type: dep.type,
+                        isCircular: false,
+                        ...(isInherited ? { isInherited } : {}),
+                        ...(isMissing ? { isMissing } : {}),
+                    });
+                    if (isMissing) {
+                        missing.push({
+                            from: node.key,
+                            to,
+                            type: dep.type,
+                            message: `"${node.key}" depends on "${to}", which is not bound`,
+                        });
+                    }
+                }
             }
         }
 
@@ -729,21 +2222,39 @@ class DI {
             edge.isCircular = fromScc !== undefined && fromScc === sccOf.get(edge.to);
         }
 
-        return { nodes, edges, cycles };
+        // A singleton holding a transient or fork-scoped dependency keeps it forever.
+        // Providers resolve on every call, so they never capture.
+        const scopeOf = new Map(nodes.map(node => [node.key, node.scope]));
+        const warnings = [];
+        for (const edge of edges) {
+            if (edge.type === 'provider') continue;
+            const toScope = capturedScopeOf.get(edge.to);
+            if (scopeOf.get(edge.from) !== 'singleton' || !toScope) continue;
+            warnings.push({
+                type: 'captive-dependency',
+                from: edge.from,
+                to: edge.to,
+                fromScope: 'singleton',
+                toScope,
+                message: `singleton "${edge.from}" captures ${SCOPE_LABELS[toScope]} "${edge.to}"`,
+            });
+        }
+
+        return { nodes, edges, cycles, warnings, missing };
     }
 
     /**
      * Render the dependency graph of this module as a human-readable text report.
-     * @param {{header?: boolean}} [opts]
+     * @param {{header?: boolean, observed?: boolean, parents?: boolean}} [opts]
      * @returns {string}
      */
     formatDependencyGraph(opts) {
-        return DI.formatDependencyGraph(this.getDependencyGraph(), opts);
+        return DI.formatDependencyGraph(this.getDependencyGraph({ observed: opts?.observed, parents: opts?.parents }), opts);
     }
 
     /**
      * Render a pre-computed dependency graph as a human-readable text report.
-     * @param {{nodes: any[], edges: any[], cycles: string[][]}} graph
+     * @param {{nodes: any[], edges: any[], cycles: string[][], warnings?: any[], missing?: any[]}} graph
      * @param {{header?: boolean}} [opts]
      * @returns {string}
      */
@@ -751,32 +2262,164 @@ class DI {
         return formatGraphText(graph, opts);
     }
 
+    /**
+     * Check every binding reachable from this module (sub-modules and fork parents included)
+     * without instantiating anything: dependencies without a binding, invalid dependency entries
+     * and cycles neither `lateResolve` nor `autoResolveCircularDependencies` can break.
+     * Bindings declared with a function are only checked through their `deps` option.
+     * @param {{throwOnError?: boolean}} [opts]
+     * @returns {{valid: boolean, issues: any[]}}
+     */
+    validate(opts) {
+        const format = this.#keyFormatter();
+        const issues = [];
+        const nodes = [];
+        // [from node, binding or key reached] pairs; cycle-breaking nodes have no edges
+        const links = [];
+        const nodeOf = new Map();
+        const singletons = new Set();
+        const seenKeys = new Set();
+        const visited = new Set();
+
+        const autoResolves = (diInstance) => DI.#autoResolveCircular || diInstance.#instanceAutoResolveCircular;
+        // A singleton with `lateResolve` (or any singleton in auto mode) is handed out as a proxy
+        const breaksCycles = (binding, owner) => binding.isContainerBinding
+            ? binding.items.every((item) => breaksCycles(item, owner))
+            : !binding.isAlias && binding.isSingleton && (binding.lateResolve || autoResolves(owner));
+
+        const checkDependencies = (nodeKey, key, binding, owner, viewer) => {
+            const path = [{ key, binding, di: viewer }];
+            const link = (depKey) => {
+                const target = viewer.#bindingFor(depKey, path);
+                if (target && !breaksCycles(binding, owner)) links.push([nodeKey, target, depKey]);
+                return target;
+            };
+            if (binding.isAlias) {
+                const targetKey = resolveKey(binding.target);
+                if (!link(targetKey)) {
+                    issues.push({
+                        type: 'missing-binding',
+                        key: nodeKey,
+                        dependency: format(targetKey),
+                        message: `Alias "${nodeKey}" points at an unbound key. ${viewer.#missingBindingMessage(targetKey, path)}`,
+                    });
+                }
+                return;
+            }
+            (binding.rawDeps ?? []).forEach((dep, index) => {
+                if (!isValidDependency(dep)) {
+                    issues.push({
+                        type: 'invalid-dependency',
+                        key: nodeKey,
+                        index,
+                        message: `Dependency ${index} of "${nodeKey}" is not an injectable or marker, got ${dep === null ? 'null' : typeof dep}`,
+                    });
+                    return;
+                }
+                const target = dependencyTarget(dep);
+                if (target === null) return;
+                const depKey = resolveKey(target);
+                // Lazy and provider dependencies resolve after the consumer is built: no cycle
+                const isDeferred = dep instanceof DILazy || dep instanceof DIProvider;
+                const found = isDeferred ? viewer.#bindingFor(depKey, path) : link(depKey);
+                if (!found && !(dep instanceof DIOptional)) {
+                    issues.push({
+                        type: 'missing-binding',
+                        key: nodeKey,
+                        dependency: format(depKey),
+                        message: `Dependency of "${nodeKey}": ${viewer.#missingBindingMessage(depKey, path)}`,
+                    });
+                }
+            });
+        };
+
+        // Fork parents resolve their bindings themselves, except fork-scoped ones and aliases,
+        // which the fork reaching them resolves
+        const visit = (diInstance, fork) => {
+            if (visited.has(diInstance)) return;
+            visited.add(diInstance);
+            const viewerOf = (binding) => (fork && (binding.scope === 'fork' || binding.isAlias) ? fork : diInstance);
+            for (const [key, binding] of diInstance.#bindings) {
+                if (seenKeys.has(key)) continue;
+                seenKeys.add(key);
+                const nodeKey = format(key);
+                nodes.push({ key: nodeKey });
+                nodeOf.set(binding, nodeKey);
+                for (const item of binding.isContainerBinding ? binding.items : [binding]) {
+                    nodeOf.set(item, nodeKey);
+                    if (item.isSingleton && !item.isAlias) singletons.add(nodeKey);
+                    checkDependencies(nodeKey, key, item, diInstance, viewerOf(binding));
+                }
+            }
+            for (const [key, contextual] of diInstance.#contextual) {
+                for (const [index, binding] of contextual.entries()) {
+                    const { displayKey } = describeContextual(key, binding, format, index + 1);
+                    nodes.push({ key: displayKey });
+                    nodeOf.set(binding, displayKey);
+                    if (binding.isSingleton) singletons.add(displayKey);
+                    checkDependencies(displayKey, key, binding, diInstance, diInstance);
+                }
+            }
+            diInstance.#subModules.forEach((sub) => visit(sub, null));
+            if (diInstance.#parent) visit(diInstance.#parent, fork ?? diInstance);
+        };
+        visit(this, null);
+
+        const edges = links.map(([from, target, depKey]) => ({ from, to: nodeOf.get(target) ?? format(depKey) }));
+        for (const cycle of detectCycles(nodes, edges).cycles) {
+            issues.push({
+                type: 'circular-dependency',
+                cycle,
+                message: `Circular dependency detected: ${cycle.join(' → ')}. ` + (cycle.some((key) => singletons.has(key))
+                    ? `Use "lateResolve: true" on one of the bindings or enable "autoResolveCircularDependencies" to resolve it automatically.`
+                    : `Transient bindings can not be proxied; make one of the bindings a singleton with "lateResolve: true" ` +
+                      `or inject a resolver ("getResolver") on one side of the cycle.`),
+            });
+        }
+
+        const report = { valid: issues.length === 0, issues };
+        if (opts?.throwOnError && !report.valid) {
+            throw new ValidationError(
+                `Validation found ${issues.length} issue(s):\n${issues.map((issue) => `  - ${issue.message}`).join('\n')}`,
+                { issues },
+            );
+        }
+        return report;
+    }
+
     bind(injectable, dep, opts) {
         const token = injectable;
         const isContainer = token instanceof Container;
         injectable = token instanceof Token || isContainer ? token.value : injectable;
+        const key = opts?.name === undefined ? resolveKey(token) : qualifiedKey(resolveKey(token), opts.name);
 
         const dependencies = !dep ? [] : Array.isArray(dep) ? dep : null;
         const dependenciesArrayIsEmpty = dependencies?.length === 0;
         if (dependencies && !injectable?.prototype?.constructor) {
-            throw new Error(
+            throw new InvalidBindingError(
                 "Array of dependencies requires a constructable injectable",
+                { key },
             );
         }
 
         const funcAndDeps = (() => {
             if (dependencies) {
+                const construct = (resolvedDependencies) => {
+                    if (!isClass(injectable))
+                        return injectable.apply(injectable, resolvedDependencies);
+                    return new injectable(...resolvedDependencies);
+                };
                 /** @param {DI} di */
                 return {
-                    func: (di) => {
-                        const resolvedDependencies = dependencies.map((d) => {
-                            if (d instanceof DILiteral) return d.value;
-                            else if (d instanceof DIFactory) return d.get(di);
-                            return di.get(d);
-                        });
-                        if (!isClass(injectable))
-                            return injectable.apply(injectable, resolvedDependencies);
-                        return new injectable(...resolvedDependencies);
+                    func: (di, params) => {
+                        const resolvedDependencies = dependencies.map((d) => di.#resolveDependency(d, params));
+                        return construct(resolvedDependencies);
+                    },
+                    asyncFunc: async (di, path) => {
+                        const resolvedDependencies = await Promise.all(
+                            dependencies.map((d) => di.#resolveDependencyAsync(d, path)),
+                        );
+                        return construct(resolvedDependencies);
                     },
                     deps: dependencies
                 };
@@ -796,28 +2439,106 @@ class DI {
                 }
                 if (typeof dep !== 'function' || isClass(dep) || dep instanceof Token || dep instanceof Container) {
                     return {
-                        func: (di) => di.get(dep),
+                        func: (di) => di.#resolveDependency(dep),
+                        asyncFunc: (di, path) => di.#resolveDependencyAsync(dep, path),
                         deps: [dep]
                     };
                 }
             }
-            return { func: dep, deps: null };
+            return { func: dep, deps: null, isFactory: true };
         })();
 
         const func = funcAndDeps.func;
-        const rawDeps = funcAndDeps.deps;
-
-        const { isSingleton = true, lateResolve = false, eager = false } = opts || {};
-        const key = resolveKey(token);
+        const asyncFunc = funcAndDeps.asyncFunc || ((di) => func(di));
+        const isFactory = Boolean(funcAndDeps.isFactory);
+        if (opts?.deps !== undefined) {
+            const depsError = !isFactory
+                ? `The "deps" option is only for binding functions, dependency arrays already declare them`
+                : !Array.isArray(opts.deps)
+                    ? `The "deps" option expects an array, got ${typeof opts.deps}`
+                    : opts.deps.some((d) => d instanceof DILiteral || d instanceof DIFactory || d instanceof DIParam)
+                        ? `The "deps" option lists dependencies, literals, factories and params can not be declared`
+                        : null;
+            if (depsError) throw new InvalidBindingError(depsError, { key });
+        }
+        const rawDeps = isFactory ? opts?.deps ?? null : funcAndDeps.deps;
+
+        const { lateResolve = false, eager = false } = opts || {};
+        const scope = opts?.scope ?? (opts?.isSingleton === false ? 'transient' : 'singleton');
+        if (!['singleton', 'transient', 'fork'].includes(scope)) {
+            throw new InvalidBindingError(
+                `Unknown scope "${scope}", expected "singleton", "transient" or "fork"`,
+                { key },
+            );
+        }
+        if (isContainer && scope === 'fork') {
+            throw new InvalidBindingError(
+                `Container items can not use "scope: 'fork'", use "singleton" or "transient", got "${this.#keyFormatter()(key)}"`,
+                { key },
+            );
+        }
+        const isSingleton = scope !== 'transient';
+        const when = opts?.when;
+        const matches = when === undefined ? null : contextMatcher(when);
+        if (when !== undefined && !matches) {
+            throw new InvalidBindingError(
+                `The "when" option expects {injectedInto: X} or a predicate function, got ${typeof when}`,
+                { key },
+            );
+        }
+        if (matches && (isContainer || scope === 'fork' || eager || opts.tags?.length > 0)) {
+            throw new InvalidBindingError(
+                `The "when" option can not be combined with containers, "scope: 'fork'", "eager" or "tags", ` +
+                `got "${this.#keyFormatter()(key)}"`,
+                { key },
+            );
+        }
+        const tags = opts?.tags ?? [];
+        if (!Array.isArray(tags) || (isContainer && tags.length > 0)) {
+            throw new InvalidBindingError(
+                isContainer
+                    ? `Container items can not be tagged, got "${this.#keyFormatter()(key)}"`
+                    : `The "tags" option expects an array of strings, got ${typeof tags}`,
+                { key },
+            );
+        }
+        tags.forEach((tag) => assertTag(tag, key));
 
-        if (isContainer) {
+        if (matches) {
+            const contextual = this.#contextual.get(key) ?? [];
+            const binding = {
+                func,
+                asyncFunc,
+                isSingleton,
+                scope,
+                lateResolve: dependenciesArrayIsEmpty ? false : lateResolve,
+                injectable,
+                rawDeps,
+                isFactory,
+                when,
+                matches,
+                instance: undefined,
+            };
+            // Binding again for the same consumer (or predicate) replaces the previous binding
+            const index = contextual.findIndex((other) => other.when === when || (
+                other.when.injectedInto !== undefined && when.injectedInto !== undefined &&
+                resolveKey(other.when.injectedInto) === resolveKey(when.injectedInto)
+            ));
+            if (index > -1) contextual[index] = binding;
+            else contextual.push(binding);
+            this.#contextual.set(key, contextual);
+        } else if (isContainer) {
             const existing = this.#bindings.get(key);
             const newItem = {
                 func,
+                asyncFunc,
                 isSingleton,
+                scope,
+                containerKey: key,
                 lateResolve: dependenciesArrayIsEmpty ? false : lateResolve,
                 injectable,
                 rawDeps,
+                isFactory,
                 instance: undefined
             };
 
@@ -834,28 +2555,116 @@ class DI {
                 const binding = this.#bindings.get(key);
                 const item = binding.items[binding.items.length - 1];
                 const itemKey = Symbol.for(`${String(key)}_${binding.items.length - 1}`);
-                this.#resolveBinding(itemKey, item, {
-                    has: () => item.instance !== undefined,
-                    get: () => item.instance,
-                    set: (v) => { item.instance = v; },
-                    delete: () => { item.instance = undefined; }
-                });
+                this.#resolveBinding(itemKey, item, this.#itemCacheProvider(item));
             }
         } else {
             if (this.#container.has(key)) this.#container.delete(key);
             this.#bindings.set(key, {
                 func,
+                asyncFunc,
                 isSingleton,
+                scope,
                 lateResolve: dependenciesArrayIsEmpty ? false : lateResolve,
                 injectable,
                 rawDeps,
+                isFactory,
+                tags: [...new Set(tags)],
             });
-            if (eager && isSingleton) this.get(token);
+            if (eager && scope === 'singleton') this.get(key);
         }
 
         return this;
     }
 
+    /**
+     * Bind `from` to the binding of `to`: resolving `from` resolves `to`, so both share its
+     * lifetime and cached instance.
+     */
+    alias(from, to) {
+        const key = resolveKey(from);
+        if (key === resolveKey(to)) {
+            throw new InvalidBindingError(`An alias can not point to itself, got "${this.#keyFormatter()(key)}"`, { key });
+        }
+        if (this.#container.has(key)) this.#container.delete(key);
+        this.#bindings.set(key, {
+            // "create" passes params through to the target
+            func: (di, params) => (params === undefined ? di.get(to) : di.create(to, params)),
+            asyncFunc: (di, path) => di.#getAsync(to, path),
+            isAlias: true,
+            target: to,
+            // Never cached itself: the target's binding owns the instance
+            isSingleton: false,
+            scope: 'transient',
+            lateResolve: false,
+            injectable: from instanceof Token ? from.value : from,
+            rawDeps: null,
+        });
+        return this;
+    }
+
+    /**
+     * Wrap every instance created for `injectable` with `decorator(instance, di)`. Decorators
+     * stack in registration order and apply to instances created afterwards.
+     */
+    decorate(injectable, decorator) {
+        const key = resolveKey(injectable);
+        if (typeof decorator !== 'function') {
+            throw new InvalidBindingError(
+                `A decorator must be a function, got ${typeof decorator} for "${this.#keyFormatter()(key)}"`,
+                { key },
+            );
+        }
+        if (!this.#decorators.has(key)) this.#decorators.set(key, []);
+        this.#decorators.get(key).push({ decorator, order: decoratorCount++ });
+        return this;
+    }
+
+    /**
+     * Run the method calls of `injectable` instances (or of every binding tagged with
+     * `injectable.tag`) through `interceptor` hooks. The first call for a key or tag registers a
+     * decorator wrapping new instances in an intercepting proxy; the proxy reads the current
+     * interceptors on every call.
+     */
+    intercept(injectable, interceptor) {
+        const tag = interceptedTag(injectable);
+        const key = tag === undefined ? resolveKey(injectable) : undefined;
+        const hooks = ['before', 'after', 'onError', 'around'];
+        if (!hooks.some((hook) => typeof interceptor?.[hook] === 'function')) {
+            throw new InvalidBindingError(
+                `An interceptor must define at least one of ${hooks.map((hook) => `"${hook}"`).join(', ')} ` +
+                (tag === undefined ? `for "${this.#keyFormatter()(key)}"` : `for the tag "${tag}"`),
+                { key },
+            );
+        }
+        const interceptors = tag === undefined ? this.#interceptors : this.#tagInterceptors;
+        const id = tag ?? key;
+        if (!interceptors.has(id)) {
+            interceptors.set(id, []);
+            const intercepted = (instance) => {
+                if (typeof instance !== 'object' || instance === null) return instance;
+                return new DIInterceptorProxyBuilder(instance, () => [...(interceptors.get(id) ?? [])]).build();
+            };
+            if (tag === undefined) {
+                this.decorate(injectable, intercepted);
+            } else {
+                if (!this.#tagDecorators.has(tag)) this.#tagDecorators.set(tag, []);
+                this.#tagDecorators.get(tag).push({ decorator: intercepted, order: decoratorCount++ });
+            }
+        }
+        interceptors.get(id).push(interceptor);
+        return this;
+    }
+
+    removeInterceptor(injectable, interceptor) {
+        const tag = interceptedTag(injectable);
+        const interceptors = tag === undefined
+            ? this.#interceptors.get(resolveKey(injectable))
+            : this.#tagInterceptors.get(tag);
+        const index = interceptors ? interceptors.indexOf(interceptor) : -1;
+        if (index > -1) interceptors.splice(index, 1);
+        return this;
+    }
+
     subModule(...modules) {
         this.#subModules.push(...modules);
         return this;
@@ -872,24 +2681,176 @@ class DI {
     fork() {
         const child = new DI();
         child.#parent = this;
+        child.#strictLifetimes = this.#strictLifetimes;
+        child.#wrapErrors = this.#wrapErrors;
         return child;
     }
 
-    #disposeInstance(instance) {
-        if (!instance) return;
+    /**
+     * Returns the object whose `dispose`/`close` should be called for a cached value, unwrapping
+     * resolved proxies. Uninitialized proxies yield `null` so they are never instantiated.
+     */
+    #disposalTarget(instance) {
+        if (!instance) return null;
 
         if (instance[IS_DI_PROXY]) {
-            if (!instance[HAS_DI_PROXY_INSTANCE]) return;
+            if (!instance[HAS_DI_PROXY_INSTANCE]) return null;
             instance = instance[GET_DI_PROXY_INSTANCE];
         }
+        return instance || null;
+    }
+
+    #disposeInstance(instance) {
+        instance = this.#disposalTarget(instance);
+        if (!instance) return;
+
+        const method = [
+            'dispose',
+            SYMBOL_DISPOSE,
+            SYMBOL_ASYNC_DISPOSE,
+        ].find((name) => typeof instance[name] === 'function');
+        if (!method) return;
+
+        try {
+            const result = instance[method]();
+            // Nothing awaits here, so async failures are ignored like the sync ones
+            if (result && typeof result.then === 'function') result.then(undefined, () => { });
+        } catch {
+            // ignore errors from dispose
+        }
+    }
 
-        if (instance && typeof instance.dispose === 'function') {
+    /**
+     * Calls `[Symbol.asyncDispose]()`, `dispose()`, `[Symbol.dispose]()` or `close()` (the first
+     * one found) on the instance and awaits the result, giving up after `timeout` milliseconds.
+     * @returns {Promise<boolean>} whether the instance had a method to call
+     */
+    async #disposeInstanceAsync(instance, timeout, displayKey) {
+        const method = [
+            SYMBOL_ASYNC_DISPOSE,
+            'dispose',
+            SYMBOL_DISPOSE,
+            'close',
+        ].find((name) => typeof instance[name] === 'function');
+        if (!method) return false;
+
+        const disposing = Promise.resolve().then(() => instance[method]());
+        if (!Number.isFinite(timeout)) {
+            await disposing;
+            return true;
+        }
+
+        let timer;
+        const timedOut = new Promise((_, reject) => {
+            timer = setTimeout(
+                () => reject(new Error(`Disposing "${displayKey}" timed out after ${timeout}ms`)),
+                timeout,
+            );
+        });
+        try {
+            await Promise.race([disposing, timedOut]);
+        } finally {
+            clearTimeout(timer);
+        }
+        return true;
+    }
+
+    /**
+     * Lists the cached singletons of this module (sub-modules excluded) so that every instance
+     * comes before the instances it depends on. Declared dependency arrays decide the order;
+     * instances with unknown dependencies fall back to reverse creation order, since a
+     * dependency always finishes constructing before its dependent does.
+     * @returns {Array<{key: string|Symbol|Function, instance: unknown}>}
+     */
+    #disposalOrder() {
+        const entries = [];
+        for (const [key, instance] of this.#container) {
+            // Fork-scoped instances are cached here but their binding lives in a parent
+            const binding = this.#bindings.get(key) ?? this.#findBinding(key);
+            entries.push({ key, instance, binding, createdAt: this.#createdAt.get(key) });
+        }
+        for (const [key, binding] of this.#bindings) {
+            if (!binding.isContainerBinding) continue;
+            for (const item of binding.items) {
+                if (item.instance === undefined) continue;
+                entries.push({ key, instance: item.instance, binding: item, createdAt: this.#createdAt.get(item) });
+            }
+        }
+        for (const [key, contextual] of this.#contextual) {
+            for (const binding of contextual) {
+                if (binding.instance === undefined) continue;
+                entries.push({ key, instance: binding.instance, binding, createdAt: this.#createdAt.get(binding) });
+            }
+        }
+        entries.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
+
+        const dependencyKeys = (entry) => (entry.binding?.rawDeps || [])
+            .map(dependencyTarget)
+            .filter((target) => target !== null)
+            .map(resolveKey);
+        const forEachDependency = (entry, callback) => {
+            for (const depKey of dependencyKeys(entry)) {
+                for (const other of entries) {
+                    if (other !== entry && other.key === depKey) callback(other);
+                }
+            }
+        };
+
+        // Kahn's algorithm: an entry is ready once all of its dependents have been disposed
+        const pendingDependents = new Map(entries.map((entry) => [entry, 0]));
+        for (const entry of entries) {
+            forEachDependency(entry, (dep) => pendingDependents.set(dep, pendingDependents.get(dep) + 1));
+        }
+
+        const ordered = [];
+        const remaining = [...entries];
+        while (remaining.length > 0) {
+            let index = remaining.findIndex((entry) => pendingDependents.get(entry) === 0);
+            if (index === -1) index = 0; // cycle: fall back to reverse creation order
+            const [next] = remaining.splice(index, 1);
+            ordered.push(next);
+            forEachDependency(next, (dep) => pendingDependents.set(dep, pendingDependents.get(dep) - 1));
+        }
+        return ordered;
+    }
+
+    /**
+     * Dispose every cached singleton of this module and its sub-modules, then clear it like
+     * `clear()`. Dependents are disposed before their dependencies, returned promises are
+     * awaited one at a time and failures are collected in the report instead of being thrown.
+     * @param {{timeout?: number}} [opts]
+     * @returns {Promise<{disposed: string[], errors: Array<{key: string, error: unknown}>}>}
+     */
+    async dispose(opts) {
+        const { timeout = 5000 } = opts || {};
+        const report = { disposed: [], errors: [] };
+        const format = this.#keyFormatter();
+        const seen = new Set();
+
+        for (const entry of this.#disposalOrder()) {
+            const instance = this.#disposalTarget(entry.instance);
+            if (!instance || seen.has(instance)) continue;
+            seen.add(instance);
+
+            const displayKey = format(entry.key);
             try {
-                instance.dispose();
-            } catch {
-                // ignore errors from dispose
+                if (await this.#disposeInstanceAsync(instance, timeout, displayKey)) {
+                    report.disposed.push(displayKey);
+                }
+            } catch (error) {
+                report.errors.push({ key: displayKey, error });
             }
         }
+
+        // Sub-modules can not depend on this module, so they go last
+        for (const subModule of [...this.#subModules].reverse()) {
+            const subReport = await subModule.dispose(opts);
+            report.disposed.push(...subReport.disposed);
+            report.errors.push(...subReport.errors);
+        }
+
+        this.#reset();
+        return report;
     }
 
     unbind(injectable) {
@@ -897,7 +2858,12 @@ class DI {
         if (this.#container.has(key)) {
             this.#disposeInstance(this.#container.get(key));
             this.#container.delete(key);
+            this.#createdAt.delete(key);
         }
+        for (const binding of this.#contextual.get(key) ?? []) {
+            if (binding.instance !== undefined) this.#disposeInstance(binding.instance);
+        }
+        this.#contextual.delete(key);
         this.#bindings.delete(key);
         return this;
     }
@@ -912,13 +2878,51 @@ class DI {
         for (const instance of this.#container.values()) {
             this.#disposeInstance(instance);
         }
+        for (const contextual of this.#contextual.values()) {
+            for (const binding of contextual) {
+                if (binding.instance !== undefined) this.#disposeInstance(binding.instance);
+            }
+        }
+
+        this.#reset();
+    }
+
+    /**
+     * Synchronous explicit resource management hook: `using scope = di.fork()` calls `clear()`
+     * on the scope when it goes out of scope.
+     */
+    [SYMBOL_DISPOSE]() {
+        this.clear();
+    }
+
+    /**
+     * Asynchronous explicit resource management hook: `await using scope = di.fork()` awaits
+     * `dispose()` and throws an `AggregateError` when any instance failed to dispose.
+     */
+    async [SYMBOL_ASYNC_DISPOSE]() {
+        const report = await this.dispose();
+        if (report.errors.length > 0) {
+            throw new AggregateError(
+                report.errors.map((failure) => failure.error),
+                `Failed to dispose ${report.errors.map((failure) => `"${failure.key}"`).join(', ')}`,
+            );
+        }
+    }
 
-        // Clear current instance containers
+    /** Forget every binding, cached instance and sub-module without disposing anything. */
+    #reset() {
         this.#container.clear();
+        this.#createdAt.clear();
         this.#bindings.clear();
+        this.#contextual.clear();
+        this.#decorators.clear();
+        this.#tagDecorators.clear();
+        this.#interceptors.clear();
+        this.#tagInterceptors.clear();
         this.#subModules.length = 0;
         this.#resolving.clear();
         this.#pendingProxies.clear();
+        this.#inFlight.clear();
         this.#resolutionStack.length = 0;
     }
 }
@@ -926,4 +2930,4 @@ class DI {
 const globalDI = new DI();
 
 // Export for both CommonJS and ES modules
-export { DI, DILiteral, DIFactory, Token, Container };
+export { DI, DILiteral, DIFactory, DIOptional, DILazy, DIProvider, DIParam, DINamed, DITagged, Token, Container, DIError, MissingBindingError, CircularDependencyError, InvalidBindingError, ResolutionError, ValidationError };
@@ -0,0 +1,33 @@
+// Type-level tests for mini-inject.d.ts, checked by `npm run test:types` (nothing runs).
+import { DI } from './mini-inject';
+
+class Pool {
+  query(sql: string): string[] {
+    return [sql];
+  }
+}
+class Repo {
+  constructor(public pool: Pool) {}
+}
+
+const di = new DI();
+
+// ─── binding functions ────────────────────────────────────────────────────────
+
+// The parameters of a factory without annotations are inferred
+di.bind(Repo, (d) => new Repo(d.get(Pool)));
+di.bind(Repo, (d) => new Repo(d.get(Pool)), { scope: 'transient' });
+di.bind(Repo, async (d) => new Repo(await d.getAsync(Pool)));
+di.bind(Repo, (d, params) => new Repo((params?.pool as Pool | undefined) ?? d.get(Pool)));
+di.bind(Repo, async (d, params) => new Repo((params?.pool as Pool | undefined) ?? (await d.getAsync(Pool))));
+
+// @ts-expect-error the factory must return the bound type
+di.bind(Repo, (d) => d.get(Pool));
+
+// ─── interceptors ─────────────────────────────────────────────────────────────
+
+const timing = { before: () => {} };
+di.intercept(Repo, timing).intercept({ tag: 'repository' }, timing).removeInterceptor(di.tagged('repository'), timing);
+const globalDI: DI = DI.intercept({ tag: 'repository' }, timing);
+// @ts-expect-error a tag is a string
+di.intercept({ tag: 1 }, timing);
@@ -1,5 +1,5 @@
 import test from 'ava';
-import { DI } from './index.mjs';
+import { DI, DIOptional, DIParam, DINamed, DITagged, DIError, MissingBindingError, CircularDependencyError, InvalidBindingError, ResolutionError, ValidationError } from './index.mjs';
 
 const idGen = (function* () {
     let i = 0;
@@ -1914,9 +1914,2191 @@ test('autoResolveCircularDependencies: should cleanup proxy if factory throws an
     // When B gets A, it will receive a proxy because of autoResolveCircularDependencies.
     // Then B returns.
     // Then A's factory executes (with B), and throws.
-    t.throws(() => di.get(A), { message: 'Constructor Error' });
+    t.throws(() => di.get(A), { message: 'Failed to resolve A: Constructor Error' });
     
     // The proxy should be cleaned up. If we try to get A again, it should throw the same constructor error, 
     // not use a corrupted cached proxy.
-    t.throws(() => di.get(A), { message: 'Constructor Error' });
+    const error = t.throws(() => di.get(A), { message: 'Failed to resolve A: Constructor Error' });
+    t.is(error.cause.message, 'Constructor Error');
+});
+
+// ─── identity-based keys ──────────────────────────────────────────────────────
+
+test('Classes with the same name are bound independently', (t) => {
+    const Service1 = (() => class Service { value = 1; })();
+    const Service2 = (() => class Service { value = 2; })();
+
+    const di = new DI();
+    di.bind(Service1, []);
+    di.bind(Service2, []);
+
+    t.is(di.get(Service1).value, 1);
+    t.is(di.get(Service2).value, 2);
+    t.true(di.get(Service1) instanceof Service1);
+
+    di.unbind(Service1);
+    t.false(di.has(Service1));
+    t.true(di.has(Service2));
+});
+
+test('Anonymous classes and symbols with the same description do not collide', (t) => {
+    const Anon1 = (() => class { value = 1; })();
+    const Anon2 = (() => class { value = 2; })();
+    const sym1 = Symbol('S');
+    const sym2 = Symbol('S');
+
+    const di = new DI();
+    di.bind(Anon1, []);
+    di.bind(Anon2, []);
+    di.bind(sym1, () => 's1');
+    di.bind(sym2, () => 's2');
+
+    t.is(di.get(Anon1).value, 1);
+    t.is(di.get(Anon2).value, 2);
+    t.is(di.get(sym1), 's1');
+    t.is(di.get(sym2), 's2');
+});
+
+test('A class binding is not found by its name as a string', (t) => {
+    class Logger { }
+
+    const di = new DI();
+    di.bind(Logger, []);
+
+    t.false(di.has('Logger'));
+    t.throws(() => di.get('Logger'), { instanceOf: MissingBindingError });
+    t.is(di.get('Logger', null), null);
+    t.true(di.get(Logger) instanceof Logger);
+});
+
+test('getDependencyGraph: same-named classes get a disambiguation suffix', (t) => {
+    const Repo1 = (() => class Repository { })();
+    const Repo2 = (() => class Repository { })();
+    class Consumer { }
+
+    const di = new DI();
+    di.bind(Repo1, []);
+    di.bind(Repo2, []);
+    di.bind(Consumer, [Repo2]);
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.nodes.map((n) => n.key), ['Repository', 'Repository@2', 'Consumer']);
+    t.deepEqual(graph.nodes[2].deps, [{ type: 'injectable', key: 'Repository@2' }]);
+    t.truthy(graph.edges.find((e) => e.from === 'Consumer' && e.to === 'Repository@2'));
+});
+
+test('Missing binding error disambiguates a class named like a bound one', (t) => {
+    const Client1 = (() => class Client { })();
+    const Client2 = (() => class Client { })();
+
+    const di = new DI();
+    di.bind(Client1, []);
+
+    t.throws(() => di.get(Client2), { message: /^No binding for injectable "Client@2"\. / });
+    t.throws(() => di.get(DI.token(Client2)), { message: 'No binding for injectable "Token<Client>"' });
+});
+
+// ─── async providers ──────────────────────────────────────────────────────────
+
+test('getAsync resolves async bindings and dependency arrays with async deps', async (t) => {
+    class Pool {
+        constructor(url) { this.url = url; }
+    }
+    class Repo {
+        constructor(pool, config) {
+            this.pool = pool;
+            this.config = config;
+        }
+    }
+
+    const di = new DI();
+    di.bind('config', async () => ({ url: 'db://test' }));
+    di.bind(Pool, async (di) => new Pool((await di.getAsync('config')).url));
+    di.bind(Repo, [Pool, di.factory(async () => 'cfg')]);
+
+    const repo = await di.getAsync(Repo);
+    t.true(repo instanceof Repo);
+    t.true(repo.pool instanceof Pool);
+    t.is(repo.pool.url, 'db://test');
+    t.is(repo.config, 'cfg');
+    t.is(await di.getAsync(Repo), repo);
+    t.is(di.get(Pool), repo.pool); // the resolved value is cached, not the promise
+});
+
+test('getAsync shares one in-flight promise between concurrent requests', async (t) => {
+    let connects = 0;
+    class Client { }
+
+    const di = new DI();
+    di.bind(Client, async () => {
+        connects++;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return new Client();
+    });
+
+    const [c1, c2, c3] = await Promise.all([di.getAsync(Client), di.getAsync(Client), di.get(Client)]);
+    t.is(connects, 1);
+    t.is(c1, c2);
+    t.is(c2, c3);
+});
+
+test('getAsync does not cache a rejected singleton', async (t) => {
+    let attempts = 0;
+    const di = new DI();
+    di.bind('conn', async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('connection refused');
+        return { attempt: attempts };
+    });
+
+    await t.throwsAsync(() => di.getAsync('conn'), { message: 'Failed to resolve conn: connection refused' });
+    const conn = await di.getAsync('conn');
+    t.is(conn.attempt, 2);
+    t.is(await di.getAsync('conn'), conn);
+});
+
+test('a rejected promise cached by a synchronous get is evicted', async (t) => {
+    let attempts = 0;
+    const di = new DI();
+    di.bind('conn', async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('connection refused');
+        return { attempt: attempts };
+    });
+
+    await t.throwsAsync(di.get('conn'), { message: 'connection refused' });
+    const conn = await di.getAsync('conn');
+    t.is(conn.attempt, 2);
+    t.is(await di.get('conn'), conn);
+});
+
+test('getAllAsync, fallbacks, containers, forks and sub-modules', async (t) => {
+    class Dep { }
+    const sub = new DI();
+    sub.bind(Dep, async () => new Dep());
+
+    const parent = new DI();
+    parent.subModule(sub);
+    parent.bind('n', async () => 1);
+    const plugins = parent.container('plugins');
+    parent.bind(plugins, async () => 'p1');
+    parent.bind(plugins, Dep);
+
+    const fork = parent.fork();
+
+    const [n, dep, list] = await fork.getAllAsync('n', Dep, plugins);
+    t.is(n, 1);
+    t.true(dep instanceof Dep);
+    t.deepEqual(list, ['p1', dep]);
+    t.is(await fork.getAsync('missing', 'fallback'), 'fallback');
+    await t.throwsAsync(() => fork.getAsync('missing'), { message: 'No binding for injectable "missing"' });
+});
+
+test('getAsync reports circular dependency arrays instead of hanging', async (t) => {
+    class CycA { constructor(b) { this.b = b; } }
+    class CycB { constructor(a) { this.a = a; } }
+
+    const di = new DI();
+    di.bind(CycA, [CycB]);
+    di.bind(CycB, [CycA]);
+
+    await t.throwsAsync(() => di.getAsync(CycA), { message: /Circular dependency detected: CycA → CycB → CycA/ });
+});
+
+// ─── async dispose ────────────────────────────────────────────────────────────
+
+test('dispose: disposes dependents before their dependencies', async (t) => {
+    const log = [];
+    const disposable = (name) => class {
+        dispose() { log.push(name); }
+    };
+    const Pool = disposable('Pool');
+    const Repo = disposable('Repo');
+    const Service = disposable('Service');
+    const Late = disposable('Late');
+
+    const di = new DI();
+    di.bind(Pool, []);
+    di.bind(Repo, [Pool]);
+    di.bind(Service, (di) => { di.get(Repo); return new Service(); });
+    di.bind(Late, [Pool], { lateResolve: true });
+
+    di.get(Late).dispose; // proxy cached before Pool, resolved afterwards
+    di.get(Service);
+
+    const report = await di.dispose();
+    t.deepEqual(log, ['Service', 'Repo', 'Late', 'Pool']);
+    t.is(report.disposed.length, 4);
+    t.deepEqual(report.errors, []);
+    t.false(di.has(Pool));
+});
+
+test('dispose: awaits async dispose and close methods', async (t) => {
+    const log = [];
+    class Redis {
+        async close() {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            log.push('redis closed');
+        }
+    }
+    class Cache {
+        constructor(redis) { this.redis = redis; }
+        async dispose() {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            log.push('cache disposed');
+        }
+    }
+    class Plain { }
+
+    const di = new DI();
+    di.bind(Redis, []);
+    di.bind(Cache, [Redis]);
+    di.bind(Plain, []);
+    di.getAll(Cache, Plain);
+
+    const report = await di.dispose();
+    t.deepEqual(log, ['cache disposed', 'redis closed']);
+    t.deepEqual(report.disposed, ['Cache', 'Redis']);
+});
+
+test('dispose: reports failures and timeouts instead of throwing', async (t) => {
+    const log = [];
+    class Broken {
+        dispose() { throw new Error('boom'); }
+    }
+    class Stuck {
+        dispose() { return new Promise(() => { }); }
+    }
+    class Fine {
+        dispose() { log.push('fine'); }
+    }
+
+    const di = new DI();
+    di.bind(Fine, []);
+    di.bind(Broken, [Fine]);
+    di.bind(Stuck, [Fine]);
+    di.getAll(Broken, Stuck);
+
+    const report = await di.dispose({ timeout: 20 });
+    t.deepEqual(log, ['fine']);
+    t.deepEqual(report.disposed, ['Fine']);
+    t.deepEqual(report.errors.map((e) => e.key), ['Stuck', 'Broken']);
+    t.is(report.errors[1].error.message, 'boom');
+    t.is(report.errors[0].error.message, 'Disposing "Stuck" timed out after 20ms');
+});
+
+test('dispose: includes sub-modules and container items, skips unresolved proxies', async (t) => {
+    const log = [];
+    class SubSvc { dispose() { log.push('sub'); } }
+    class Plugin { dispose() { log.push('plugin'); } }
+    class Lazy { dispose() { log.push('lazy'); } }
+
+    const sub = new DI();
+    sub.bind(SubSvc, []);
+
+    const di = new DI();
+    di.subModule(sub);
+    const plugins = di.container('plugins');
+    di.bind(plugins, () => new Plugin());
+    di.bind(Lazy, [SubSvc], { lateResolve: true });
+    di.getAll(SubSvc, plugins, Lazy);
+
+    const report = await di.dispose();
+    t.deepEqual(log, ['plugin', 'sub']);
+    t.deepEqual(report.disposed, ['Container<plugins>', 'SubSvc']);
+    t.false(sub.has(SubSvc));
+});
+
+// ─── explicit resource management ─────────────────────────────────────────────
+
+test('clear and unbind dispose instances implementing Symbol.dispose / Symbol.asyncDispose', (t) => {
+    const log = [];
+    class SyncRes {
+        [Symbol.dispose]() { log.push('sync'); }
+    }
+    class AsyncRes {
+        async [Symbol.asyncDispose]() { log.push('async'); }
+    }
+
+    const di = new DI();
+    di.bind(SyncRes, []);
+    di.bind(AsyncRes, []);
+    di.getAll(SyncRes, AsyncRes);
+
+    di.unbind(SyncRes);
+    t.deepEqual(log, ['sync']);
+    di.clear();
+    t.deepEqual(log, ['sync', 'async']);
+});
+
+test('dispose awaits Symbol.asyncDispose before Symbol.dispose-only dependencies', async (t) => {
+    const log = [];
+    class Conn {
+        [Symbol.dispose]() { log.push('conn'); }
+    }
+    class Session {
+        constructor(conn) { this.conn = conn; }
+        async [Symbol.asyncDispose]() {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            log.push('session');
+        }
+    }
+
+    const di = new DI();
+    di.bind(Conn, []);
+    di.bind(Session, [Conn]);
+    di.get(Session);
+
+    const report = await di.dispose();
+    t.deepEqual(log, ['session', 'conn']);
+    t.deepEqual(report.disposed, ['Session', 'Conn']);
+});
+
+test('fork implements Symbol.dispose and Symbol.asyncDispose for request scopes', async (t) => {
+    const log = [];
+    class Shared { dispose() { log.push('shared'); } }
+    class PerRequest { dispose() { log.push('request'); } }
+    class Broken { dispose() { throw new Error('boom'); } }
+
+    const appDI = new DI();
+    appDI.bind(Shared, []);
+
+    {
+        const scope = appDI.fork();
+        scope.bind(PerRequest, []);
+        scope.getAll(Shared, PerRequest);
+        scope[Symbol.dispose]();
+    }
+    t.deepEqual(log, ['request']);
+    t.true(appDI.has(Shared));
+
+    const scope = appDI.fork();
+    scope.bind(PerRequest, []);
+    scope.bind(Broken, []);
+    scope.getAll(PerRequest, Broken);
+    const err = await t.throwsAsync(() => scope[Symbol.asyncDispose](), { instanceOf: AggregateError });
+    t.is(err.message, 'Failed to dispose "Broken"');
+    t.is(err.errors[0].message, 'boom');
+    t.deepEqual(log, ['request', 'request']);
+    t.false(scope.has(PerRequest));
+});
+
+// ─── fork scope ───────────────────────────────────────────────────────────────
+
+test('fork scope: each fork lazily gets and caches its own instance', (t) => {
+    let created = 0;
+    class UnitOfWork {
+        constructor() { this.id = ++created; }
+    }
+
+    const appDI = new DI();
+    appDI.bind(UnitOfWork, [], { scope: 'fork' });
+
+    const req1 = appDI.fork();
+    const req2 = appDI.fork();
+    t.is(created, 0);
+
+    const uow1 = req1.get(UnitOfWork);
+    t.is(req1.get(UnitOfWork), uow1);
+    const uow2 = req2.get(UnitOfWork);
+    t.not(uow1, uow2);
+    t.is(created, 2);
+
+    // The root acts as its own scope
+    const rootUow = appDI.get(UnitOfWork);
+    t.not(rootUow, uow1);
+    t.is(appDI.get(UnitOfWork), rootUow);
+
+    // Nested forks get their own instance too
+    const nested = req1.fork();
+    t.not(nested.get(UnitOfWork), uow1);
+
+    const binding = appDI.getBinding(UnitOfWork);
+    t.is(binding.scope, 'fork');
+    t.true(binding.isSingleton);
+});
+
+test('fork scope: transient consumers declared on the root inject the fork\'s instance', async (t) => {
+    class UnitOfWork { }
+    class Handler {
+        constructor(uow) { this.uow = uow; }
+    }
+
+    const appDI = new DI();
+    appDI.bind(UnitOfWork, [], { scope: 'fork' });
+    appDI.bind(Handler, [UnitOfWork], { isSingleton: false });
+    appDI.bind('handler', (di) => ({ uow: di.get(UnitOfWork) }), { scope: 'transient' });
+
+    const req1 = appDI.fork();
+    const req2 = appDI.fork();
+    t.is(req1.get(Handler).uow, req1.get(UnitOfWork));
+    t.is(req2.get(Handler).uow, req2.get(UnitOfWork));
+    t.not(req1.get(Handler).uow, req2.get(Handler).uow);
+    t.is(req1.get('handler').uow, req1.get(UnitOfWork));
+    t.is(req2.create(Handler).uow, req2.get(UnitOfWork));
+    t.is((await req2.getAsync(Handler)).uow, req2.get(UnitOfWork));
+    t.is(appDI.get(Handler).uow, appDI.get(UnitOfWork));
+});
+
+test('fork scope: dependencies are resolved from the fork', async (t) => {
+    class RequestContext {
+        constructor(user) { this.user = user; }
+    }
+    class Transaction {
+        constructor(ctx) { this.ctx = ctx; }
+    }
+
+    const appDI = new DI();
+    appDI.bind(Transaction, [RequestContext], { scope: 'fork' });
+
+    const req1 = appDI.fork();
+    req1.bind(RequestContext, [req1.literal('alice')]);
+    const req2 = appDI.fork();
+    req2.bind(RequestContext, [req2.literal('bob')]);
+
+    t.is(req1.get(Transaction).ctx.user, 'alice');
+    t.is((await req2.getAsync(Transaction)).ctx.user, 'bob');
+    t.is(await req2.getAsync(Transaction), req2.get(Transaction));
+});
+
+test('fork scope: fork.clear() disposes only the fork instance', async (t) => {
+    const log = [];
+    let created = 0;
+    class UnitOfWork {
+        constructor() { this.id = ++created; }
+        dispose() { log.push(this.id); }
+    }
+
+    const appDI = new DI();
+    appDI.bind(UnitOfWork, [], { scope: 'fork' });
+    const rootUow = appDI.get(UnitOfWork);
+
+    const req = appDI.fork();
+    const uow = req.get(UnitOfWork);
+    req.clear();
+    t.deepEqual(log, [uow.id]);
+    t.not(req.get(UnitOfWork), uow); // a new one after clear
+
+    await req.dispose();
+    t.deepEqual(log, [uow.id, uow.id + 1]);
+    t.is(appDI.get(UnitOfWork), rootUow);
+});
+
+test('fork scope: invalid scope throws and the graph shows the scope', (t) => {
+    class ScopedSvc { }
+    const di = new DI();
+    t.throws(() => di.bind(ScopedSvc, [], { scope: 'request' }), {
+        message: 'Unknown scope "request", expected "singleton", "transient" or "fork"',
+    });
+
+    di.bind(ScopedSvc, [], { scope: 'fork' });
+    t.is(di.getDependencyGraph().nodes[0].scope, 'fork');
+    t.true(di.formatDependencyGraph({ header: false }).includes('[scoped]'));
+});
+
+test('fork scope: container items can not be fork-scoped', (t) => {
+    class Plugin { }
+    const di = new DI();
+    const plugins = di.container('plugins');
+    const error = t.throws(() => di.bind(plugins, Plugin, { scope: 'fork' }), { instanceOf: InvalidBindingError });
+    t.is(error.message, `Container items can not use "scope: 'fork'", use "singleton" or "transient", got "Container<plugins>"`);
+    t.false(di.has(plugins));
+
+    di.bind(plugins, Plugin, { scope: 'transient' });
+    t.deepEqual(di.getBinding(plugins).map(item => item.scope), ['transient']);
+});
+
+// ─── captive dependencies ─────────────────────────────────────────────────────
+
+test('captive dependencies: graph reports singletons holding transient or fork-scoped deps', (t) => {
+    class Request { }
+    class UnitOfWork { }
+    class Service {
+        constructor(request, uow) { this.request = request; this.uow = uow; }
+    }
+    class Handler {
+        constructor(request) { this.request = request; }
+    }
+
+    const di = new DI();
+    di.bind(Request, [], { scope: 'transient' });
+    di.bind(UnitOfWork, [], { scope: 'fork' });
+    di.bind(Service, [Request, UnitOfWork]);
+    di.bind(Handler, [Request], { scope: 'transient' });
+
+    const { warnings } = di.getDependencyGraph();
+    t.deepEqual(warnings.map(w => [w.from, w.to, w.toScope]), [
+        ['Service', 'Request', 'transient'],
+        ['Service', 'UnitOfWork', 'fork'],
+    ]);
+    t.is(warnings[0].type, 'captive-dependency');
+    t.is(warnings[1].message, 'singleton "Service" captures fork-scoped "UnitOfWork"');
+});
+
+test('captive dependencies: formatDependencyGraph flags the affected rows', (t) => {
+    class Request { }
+    class Service {
+        constructor(request) { this.request = request; }
+    }
+    const di = new DI();
+    di.bind(Request, [], { scope: 'transient' });
+    di.bind(Service, [Request]);
+
+    const text = di.formatDependencyGraph();
+    t.true(text.startsWith('mini-inject dependency graph — 2 binding(s), 0 cycle(s), 1 warning(s)'));
+    const row = text.split('\n').find(line => line.startsWith('Service'));
+    t.true(row.endsWith('⚠ CAPTIVE: Request [transient]'));
+    t.true(text.includes('Warnings:\n  [1] singleton "Service" captures transient "Request"'));
+    t.false(new DI().formatDependencyGraph().includes('warning'));
+});
+
+test('captive dependencies: strict mode throws at resolution time, sync and async', async (t) => {
+    class Request { }
+    class Service {
+        constructor(request) { this.request = request; }
+    }
+    const message = 'Captive dependency detected: singleton "Service" depends on transient "Request". ' +
+        'The singleton would keep a single "Request" instance forever; inject a resolver ("getResolver") ' +
+        'or align the lifetimes.';
+
+    const di = new DI();
+    di.bind(Request, [], { scope: 'transient' });
+    di.bind(Service, [Request]);
+    t.truthy(di.get(Service).request); // off by default
+
+    const strict = new DI().strictLifetimes(true);
+    strict.bind(Request, [], { scope: 'transient' });
+    strict.bind(Service, [Request]);
+    t.throws(() => strict.get(Service), { message });
+    await t.throwsAsync(() => strict.getAsync(Service), { message });
+    t.truthy(strict.get(Request)); // resolving the transient directly is fine
+});
+
+test('captive dependencies: strict mode only checks what binding functions declare', (t) => {
+    class Request {
+        constructor() { this.id = 'req'; }
+    }
+    class Service { }
+    const di = new DI().strictLifetimes(true);
+    di.bind(Request, [], { scope: 'transient' });
+    di.bind(Service, (di) => ({ requestId: di.get(Request).id }));
+    t.is(di.get(Service).requestId, 'req');
+
+    di.bind(Service, (di) => ({ request: di.get(Request) }), { deps: [Request] });
+    t.throws(() => di.get(Service), { message: /singleton "Service" depends on transient "Request"/ });
+
+    // Observed calls are still reported by the graph
+    di.bind(Service, (di) => ({ requestId: di.get(Request).id }));
+    di.get(Service);
+    t.deepEqual(di.getDependencyGraph({ observed: true }).warnings.map(w => [w.from, w.to]), [['Service', 'Request']]);
+});
+
+test('captive dependencies: strict mode covers sub-modules and forks', (t) => {
+    class UnitOfWork { }
+    class Repo {
+        constructor(uow) { this.uow = uow; }
+    }
+    class Service {
+        constructor(uow) { this.uow = uow; }
+    }
+
+    const sub = new DI();
+    sub.bind(UnitOfWork, [], { scope: 'fork' });
+    const di = new DI().strictLifetimes(true);
+    di.subModule(sub);
+    di.bind(Repo, [UnitOfWork]);
+    t.throws(() => di.get(Repo), { message: /singleton "Repo" depends on fork-scoped "UnitOfWork"/ });
+
+    const root = new DI().strictLifetimes(true);
+    root.bind(UnitOfWork, [], { scope: 'fork' });
+    const req = root.fork();
+    req.bind(Service, [UnitOfWork]);
+    t.throws(() => req.get(Service), { message: /Captive dependency detected/ });
+    // A resolver defers the lookup, so it is allowed
+    req.bind(Repo, [req.factory((d) => d.getResolver(UnitOfWork))]);
+    t.true(req.get(Repo).uow.get() instanceof UnitOfWork);
+});
+
+// ─── transient cycles ─────────────────────────────────────────────────────────
+
+test('transient cycles: throw the circular dependency error instead of overflowing', (t) => {
+    class A {
+        constructor(b) { this.b = b; }
+    }
+    class B {
+        constructor(a) { this.a = a; }
+    }
+    const di = new DI();
+    di.bind(A, [B], { scope: 'transient' });
+    di.bind(B, [A], { scope: 'transient' });
+
+    const error = t.throws(() => di.get(A), { message: /^Circular dependency detected: A → B → A\. / });
+    t.true(error.message.includes('Transient bindings can not be proxied'));
+    // The stack is unwound, so the module stays usable
+    t.throws(() => di.get(B), { message: /^Circular dependency detected: B → A → B\. / });
+});
+
+test('transient cycles: a cycle through a singleton is reported by the singleton check', (t) => {
+    class Service {
+        constructor(request) { this.request = request; }
+    }
+    class Request {
+        constructor(service) { this.service = service; }
+    }
+    const di = new DI();
+    di.bind(Service, [Request]);
+    di.bind(Request, [Service], { isSingleton: false });
+
+    t.throws(() => di.get(Request), {
+        message: /^Circular dependency detected: Request → Service → Request → Service\. Use "lateResolve: true"/,
+    });
+    t.throws(() => di.get(Service), {
+        message: /^Circular dependency detected: Service → Request → Service\. Use "lateResolve: true"/,
+    });
+});
+
+test('transient cycles: auto-resolve mode explains that transients can not be proxied', (t) => {
+    class A {
+        constructor(b) { this.b = b; }
+    }
+    class B {
+        constructor(a) { this.a = a; }
+    }
+    const di = new DI().autoResolveCircularDependencies(true);
+    di.bind(A, [B], { scope: 'transient' });
+    di.bind(B, [A], { scope: 'transient' });
+
+    t.throws(() => di.get(A), {
+        message: 'Circular dependency detected: A → B → A. "autoResolveCircularDependencies" can not proxy ' +
+            'transient bindings; make one of the bindings a singleton or inject a resolver ("getResolver") on one side of the cycle.',
+    });
+
+    // With a singleton on the cycle the proxy still breaks it
+    di.unbind(B);
+    di.bind(B, [A]);
+    const a = di.get(A);
+    t.is(a.b.a.b, a.b);
+});
+
+// ─── structured errors ────────────────────────────────────────────────────────
+
+test('errors: missing bindings carry a code, the key and the resolution path', async (t) => {
+    class PaymentClient { }
+    class OrderService {
+        constructor(client) { this.client = client; }
+    }
+    class App {
+        constructor(orders) { this.orders = orders; }
+    }
+    const di = new DI();
+    di.bind(App, [OrderService]);
+    di.bind(OrderService, [PaymentClient]);
+
+    const error = t.throws(() => di.get(App), { instanceOf: MissingBindingError });
+    t.true(error instanceof DIError);
+    t.is(error.name, 'MissingBindingError');
+    t.is(error.code, 'ERR_DI_MISSING_BINDING');
+    t.is(error.key, PaymentClient);
+    t.deepEqual(error.path, [App, OrderService, PaymentClient]);
+    t.is(error.message, 'No binding for injectable "PaymentClient"');
+
+    const asyncError = await t.throwsAsync(() => di.getAsync(App), { instanceOf: MissingBindingError });
+    t.deepEqual(asyncError.path, [App, OrderService, PaymentClient]);
+
+    t.deepEqual(t.throws(() => di.get('nope')).path, ['nope']);
+});
+
+test('errors: circular dependencies', async (t) => {
+    class A {
+        constructor(b) { this.b = b; }
+    }
+    class B {
+        constructor(a) { this.a = a; }
+    }
+    const di = new DI();
+    di.bind(A, [B]);
+    di.bind(B, [A]);
+
+    const error = t.throws(() => di.get(A), { instanceOf: CircularDependencyError });
+    t.is(error.code, 'ERR_DI_CIRCULAR_DEPENDENCY');
+    t.is(error.key, A);
+    t.deepEqual(error.path, [A, B, A]);
+
+    const asyncError = await t.throwsAsync(() => di.getAsync(B), { instanceOf: CircularDependencyError });
+    t.deepEqual(asyncError.path, [B, A, B]);
+});
+
+test('errors: invalid bindings and captive dependencies', (t) => {
+    const di = new DI();
+    const token = di.token('x');
+    const error = t.throws(() => di.bind(token, [], { scope: 'request' }), { instanceOf: InvalidBindingError });
+    t.is(error.code, 'ERR_DI_INVALID_BINDING');
+    t.is(error.key, token.toSymbol());
+    t.throws(() => di.bind('str', [di.literal(1)]), { instanceOf: InvalidBindingError });
+    t.throws(() => di.get(null), { instanceOf: InvalidBindingError });
+
+    class Request { }
+    class Service {
+        constructor(request) { this.request = request; }
+    }
+    di.strictLifetimes(true);
+    di.bind(Request, [], { scope: 'transient' });
+    di.bind(Service, [Request]);
+    const captive = t.throws(() => di.get(Service), { instanceOf: ResolutionError });
+    t.is(captive.code, 'ERR_DI_CAPTIVE_DEPENDENCY');
+    t.deepEqual(captive.path, [Service, Request]);
+});
+
+// ─── wrapped factory errors ───────────────────────────────────────────────────
+
+test('wrapped errors: factory exceptions list the resolution path and keep the cause', async (t) => {
+    const failure = new Error('connection refused');
+    class PaymentClient {
+        constructor() { throw failure; }
+    }
+    class OrderService {
+        constructor(client) { this.client = client; }
+    }
+    class App {
+        constructor(orders) { this.orders = orders; }
+    }
+    const di = new DI();
+    di.bind(App, [OrderService]);
+    di.bind(OrderService, [PaymentClient]);
+    di.bind(PaymentClient, []);
+
+    const error = t.throws(() => di.get(App), {
+        instanceOf: ResolutionError,
+        message: 'Failed to resolve App → OrderService → PaymentClient: connection refused',
+    });
+    t.is(error.code, 'ERR_DI_RESOLUTION_FAILED');
+    t.is(error.cause, failure);
+    t.is(error.key, PaymentClient);
+    t.deepEqual(error.path, [App, OrderService, PaymentClient]);
+
+    const asyncError = await t.throwsAsync(() => di.getAsync(App), { instanceOf: ResolutionError });
+    t.is(asyncError.message, error.message);
+    t.is(asyncError.cause, failure);
+});
+
+test('wrapped errors: non-Error values, containers and mini-inject errors', (t) => {
+    class Plugin {
+        constructor() { throw 'nope'; }
+    }
+    class Host {
+        constructor(plugins) { this.plugins = plugins; }
+    }
+    const di = new DI();
+    const plugins = di.container(Plugin, 'plugins');
+    di.bind(plugins, []);
+    di.bind(Host, [plugins]);
+
+    const error = t.throws(() => di.get(Host), { message: 'Failed to resolve Host → Container<plugins>: nope' });
+    t.is(error.cause, 'nope');
+    t.is(error.key, plugins.toSymbol());
+
+    // Errors raised by mini-inject itself are not wrapped again
+    di.bind('needs-missing', () => di.get('missing'));
+    t.throws(() => di.get('needs-missing'), { instanceOf: MissingBindingError });
+});
+
+test('wrapped errors: wrapping can be disabled, forks inherit the setting', async (t) => {
+    const failure = new Error('boom');
+    const di = new DI().wrapErrors(false);
+    di.bind('svc', () => { throw failure; });
+    di.bind('async-svc', async () => { throw failure; });
+
+    t.is(t.throws(() => di.get('svc')), failure);
+    t.is(await t.throwsAsync(() => di.getAsync('async-svc')), failure);
+    const fork = di.fork();
+    fork.bind('local', () => { throw failure; });
+    t.is(t.throws(() => fork.get('local')), failure);
+    t.true(t.throws(() => di.wrapErrors(true).get('svc')) instanceof ResolutionError);
+});
+
+// ─── missing binding suggestions ──────────────────────────────────────────────
+
+test('missing binding suggestions: closest keys across sub-modules and fork parents', async (t) => {
+    class UserService { }
+    const sub = new DI();
+    sub.bind('userRepository', () => ({}));
+    const root = new DI();
+    root.bind(UserService, []);
+    root.bind('orderService', () => ({}));
+    root.subModule(sub);
+    const fork = root.fork();
+    fork.bind('userSession', () => ({}));
+
+    t.throws(() => fork.get('usrService'), {
+        instanceOf: MissingBindingError,
+        message: 'No binding for injectable "usrService". Did you mean "UserService"?',
+    });
+    t.throws(() => fork.get('userRepositry'), { message: /Did you mean "userRepository"\?$/ });
+    t.throws(() => fork.get('UserSessions'), { message: /Did you mean "userSession"\?$/ });
+    await t.throwsAsync(() => fork.getAsync('orderServic'), { message: /Did you mean "orderService"\?$/ });
+
+    root.bind('orderServices', () => ({}));
+    t.throws(() => root.get('orderServic'), { message: /Did you mean "orderService" or "orderServices"\?$/ });
+    t.throws(() => root.get('zzz'), { message: 'No binding for injectable "zzz"' });
+});
+
+test('missing binding suggestions: a Token or Container created twice', (t) => {
+    class Db { }
+    const di = new DI();
+    di.bind(DI.token(Db, 'primary'), []);
+    di.bind(DI.container(Db, 'replicas'), []);
+
+    t.throws(() => di.get(DI.token(Db, 'primary')), {
+        message: 'No binding for injectable "Token<primary>@2". A different Token with the same name is bound ' +
+            'as "Token<primary>": keys are matched by identity, so use the exact Token passed to "bind".',
+    });
+    t.throws(() => di.getAll(DI.container(Db, 'replicas')), {
+        message: /A different Container with the same name is bound as "Container<replicas>"/,
+    });
+});
+
+test('missing binding suggestions: a class and a string key with the same name', (t) => {
+    class Logger { }
+    const di = new DI();
+    di.bind('Logger', () => ({}));
+
+    t.throws(() => di.get(Logger), {
+        message: 'No binding for injectable "Logger". A string key with the same name is bound as "Logger": ' +
+            'a class or function key never matches a string key, so request it with the string passed to "bind".',
+    });
+
+    const other = new DI();
+    other.bind(Logger, []);
+    t.throws(() => other.get('Logger'), {
+        message: 'No binding for injectable "Logger". A class or function key with the same name is bound as "Logger": ' +
+            'a string key never matches a class or function key, so request it with the class or function passed to "bind".',
+    });
+});
+
+// ─── optional dependencies ────────────────────────────────────────────────────
+
+test('optional dependencies: inject undefined or the default when unbound', async (t) => {
+    class Logger { }
+    class Metrics { }
+    class Service {
+        constructor(logger, metrics, retries) {
+            this.logger = logger;
+            this.metrics = metrics;
+            this.retries = retries;
+        }
+    }
+    const di = new DI();
+    di.bind(Logger, []);
+    di.bind(Service, [di.optional(Logger), DI.optional(Metrics), di.optional('retries', 3)]);
+
+    const service = di.get(Service);
+    t.true(service.logger instanceof Logger);
+    t.is(service.metrics, undefined);
+    t.is(service.retries, 3);
+    t.true(di.optional(Metrics) instanceof DIOptional);
+
+    di.unbind(Service);
+    di.bind(Service, [di.optional(Logger), di.optional(Metrics), di.optional('retries', 3)]);
+    di.bind('retries', async () => 5);
+    const asyncService = await di.getAsync(Service);
+    t.is(asyncService.logger, service.logger);
+    t.is(asyncService.metrics, undefined);
+    t.is(asyncService.retries, 5);
+});
+
+test('optional dependencies: errors of a bound dependency are not swallowed', (t) => {
+    class Broken {
+        constructor(missing) { this.missing = missing; }
+    }
+    class Service {
+        constructor(broken) { this.broken = broken; }
+    }
+    const di = new DI();
+    di.bind(Broken, ['missing']);
+    di.bind(Service, [di.optional(Broken)]);
+    t.throws(() => di.get(Service), { instanceOf: MissingBindingError, message: /"missing"/ });
+});
+
+test('optional dependencies: the graph shows optional edges', (t) => {
+    class Logger { }
+    class Metrics { }
+    class Service {
+        constructor(logger, metrics) { this.logger = logger; this.metrics = metrics; }
+    }
+    const di = new DI();
+    di.bind(Logger, []);
+    di.bind(Service, [di.optional(Logger), di.optional(Metrics, null)]);
+
+    const graph = di.getDependencyGraph();
+    const node = graph.nodes.find(n => n.key === 'Service');
+    t.deepEqual(node.deps, [
+        { type: 'optional', key: 'Logger', defaultValue: undefined },
+        { type: 'optional', key: 'Metrics', defaultValue: null },
+    ]);
+    t.deepEqual(graph.edges, [{ from: 'Service', to: 'Logger', type: 'optional', isCircular: false }]);
+    t.true(di.formatDependencyGraph({ header: false }).includes('Optional<Logger>, Optional<Metrics>'));
+});
+
+// ─── lazy dependencies ────────────────────────────────────────────────────────
+
+test('lazy dependencies: resolved on first property access only', async (t) => {
+    let created = 0;
+    class PdfRenderer {
+        constructor() { created++; this.pages = 0; }
+        render() { return ++this.pages; }
+    }
+    class Reports {
+        constructor(renderer) { this.renderer = renderer; }
+    }
+    const di = new DI();
+    di.bind(PdfRenderer, []);
+    di.bind(Reports, [di.lazy(PdfRenderer)]);
+
+    const reports = di.get(Reports);
+    t.is(created, 0);
+    t.true(reports.renderer instanceof PdfRenderer);
+    t.is(created, 0);
+    t.is(reports.renderer.render(), 1);
+    t.is(created, 1);
+    t.is(di.get(PdfRenderer).pages, 1); // the proxy targets the singleton
+
+    di.unbind(Reports);
+    di.bind(Reports, [DI.lazy(PdfRenderer)]);
+    const asyncReports = await di.getAsync(Reports);
+    t.is(asyncReports.renderer.render(), 2);
+    t.is(created, 1);
+});
+
+test('lazy dependencies: tokens, string keys and errors on access', (t) => {
+    class Client {
+        constructor(url) { this.url = url; }
+    }
+    class Service {
+        constructor(client, config, missing) {
+            this.client = client;
+            this.config = config;
+            this.missing = missing;
+        }
+    }
+    const di = new DI();
+    const client = di.token(Client, 'client');
+    di.bind(client, [di.literal('http://x')]);
+    di.bind('config', () => ({ retries: 3 }));
+    di.bind(Service, [di.lazy(client), di.lazy('config'), di.lazy('missing')]);
+
+    const service = di.get(Service);
+    t.true(service.client instanceof Client);
+    t.is(service.client.url, 'http://x');
+    t.is(service.config.retries, 3);
+    t.throws(() => service.missing.anything, { instanceOf: MissingBindingError });
+});
+
+test('lazy dependencies: the graph shows lazy edges', (t) => {
+    class Renderer { }
+    class Reports {
+        constructor(renderer) { this.renderer = renderer; }
+    }
+    const di = new DI();
+    di.bind(Renderer, []);
+    di.bind(Reports, [di.lazy(Renderer)]);
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.nodes.find(n => n.key === 'Reports').deps, [{ type: 'lazy', key: 'Renderer' }]);
+    t.deepEqual(graph.edges, [{ from: 'Reports', to: 'Renderer', type: 'lazy', isCircular: false }]);
+    t.true(di.formatDependencyGraph({ header: false }).includes('Lazy<Renderer>'));
+});
+
+// ─── provider dependencies ────────────────────────────────────────────────────
+
+test('provider dependencies: inject a function resolving a new transient on each call', async (t) => {
+    let created = 0;
+    class Request {
+        constructor() { this.id = ++created; }
+    }
+    class Server {
+        constructor(newRequest) { this.newRequest = newRequest; }
+    }
+    const di = new DI().strictLifetimes(true);
+    di.bind(Request, [], { scope: 'transient' });
+    di.bind(Server, [di.provider(Request)]);
+
+    const server = di.get(Server);
+    t.is(created, 0);
+    t.is(server.newRequest.length, 0);
+    t.is(server.newRequest().id, 1);
+    t.is(server.newRequest().id, 2);
+
+    di.unbind(Server);
+    di.bind(Server, [DI.provider(Request)]);
+    t.is((await di.getAsync(Server)).newRequest().id, 3);
+});
+
+test('provider dependencies: resolve against the container of the consumer', (t) => {
+    class UnitOfWork { }
+    class Handler {
+        constructor(uow) { this.uow = uow; }
+    }
+    const root = new DI();
+    root.bind(UnitOfWork, [], { scope: 'fork' });
+    root.bind(Handler, [root.provider(UnitOfWork)], { scope: 'fork' });
+
+    const req1 = root.fork();
+    const req2 = root.fork();
+    const uow1 = req1.get(Handler).uow();
+    t.is(uow1, req1.get(UnitOfWork));
+    t.not(req2.get(Handler).uow(), uow1);
+});
+
+test('provider dependencies: the graph shows provider edges without captive warnings', (t) => {
+    class Request { }
+    class Server {
+        constructor(newRequest) { this.newRequest = newRequest; }
+    }
+    const di = new DI();
+    di.bind(Request, [], { scope: 'transient' });
+    di.bind(Server, [di.provider(Request)]);
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.nodes.find(n => n.key === 'Server').deps, [{ type: 'provider', key: 'Request' }]);
+    t.deepEqual(graph.edges, [{ from: 'Server', to: 'Request', type: 'provider', isCircular: false }]);
+    t.deepEqual(graph.warnings, []);
+    t.true(di.formatDependencyGraph({ header: false }).includes('Provider<Request>'));
+});
+
+// ─── assisted injection ───────────────────────────────────────────────────────
+
+test('assisted injection: create() fills params and resolves the rest', (t) => {
+    class Logger { }
+    class Storage { }
+    class Exporter {
+        constructor(logger, storage, reportId) {
+            this.logger = logger;
+            this.storage = storage;
+            this.reportId = reportId;
+        }
+    }
+    const di = new DI();
+    di.bind(Logger, []);
+    di.bind(Storage, []);
+    di.bind(Exporter, [Logger, Storage, di.param('reportId')]);
+    t.true(di.param('reportId') instanceof DIParam);
+
+    const first = di.create(Exporter, { reportId: 1 });
+    const second = di.create(Exporter, { reportId: 2 });
+    t.is(first.reportId, 1);
+    t.is(second.reportId, 2);
+    t.not(first, second); // never cached
+    t.is(first.logger, di.get(Logger));
+    t.true(second.storage instanceof Storage);
+    t.is(DI.runInContext(di, () => DI.create(Exporter, { reportId: 3 })).reportId, 3);
+});
+
+test('assisted injection: missing params throw', async (t) => {
+    class Logger { }
+    class Exporter {
+        constructor(logger, reportId) { this.logger = logger; this.reportId = reportId; }
+    }
+    class Job {
+        constructor(exporter) { this.exporter = exporter; }
+    }
+    const di = new DI();
+    di.bind(Logger, []);
+    di.bind(Exporter, [Logger, di.param('reportId')]);
+    di.bind(Job, [Exporter]);
+
+    const message = 'Missing param "reportId" for "Exporter": pass it with "create(injectable, { reportId })"';
+    const error = t.throws(() => di.create(Exporter, { reportID: 1 }), { instanceOf: ResolutionError, message });
+    t.is(error.code, 'ERR_DI_MISSING_PARAM');
+    t.is(error.key, Exporter);
+    t.throws(() => di.get(Exporter), { message });
+    const nested = t.throws(() => di.get(Job), { message });
+    t.deepEqual(nested.path, [Job, Exporter]);
+    await t.throwsAsync(() => di.getAsync(Exporter), { message });
+    t.is(di.create(Exporter, { reportId: undefined }).reportId, undefined);
+
+    t.throws(() => di.create('missing', {}), { instanceOf: MissingBindingError });
+    const exporters = di.container(Exporter, 'exporters');
+    di.bind(exporters, []);
+    t.throws(() => di.create(exporters), { instanceOf: InvalidBindingError });
+});
+
+test('assisted injection: providers forward params, custom factories receive them', (t) => {
+    class Logger { }
+    class Exporter {
+        constructor(logger, reportId) { this.logger = logger; this.reportId = reportId; }
+    }
+    class Scheduler {
+        constructor(newExporter, newSession) {
+            this.newExporter = newExporter;
+            this.newSession = newSession;
+        }
+    }
+    const sub = new DI();
+    sub.bind(Logger, []);
+    sub.bind(Exporter, [Logger, sub.param('reportId')]);
+    const di = new DI().subModule(sub);
+    di.bind('session', (_di, params) => ({ user: params?.user ?? 'anonymous' }), { isSingleton: false });
+    di.bind(Scheduler, [di.provider(Exporter), di.provider('session')]);
+
+    const scheduler = di.get(Scheduler);
+    t.is(scheduler.newExporter({ reportId: 7 }).reportId, 7);
+    t.is(scheduler.newExporter({ reportId: 7 }).logger, sub.get(Logger));
+    t.is(scheduler.newSession().user, 'anonymous');
+    t.is(scheduler.newSession({ user: 'alice' }).user, 'alice');
+    t.is(di.fork().create('session', { user: 'bob' }).user, 'bob');
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.nodes.find(n => n.key === 'Exporter').deps, [
+        { type: 'injectable', key: 'Logger' },
+        { type: 'param', name: 'reportId' },
+    ]);
+    t.true(di.formatDependencyGraph({ header: false }).includes('Logger, Param<reportId>'));
+});
+
+// ─── aliases ──────────────────────────────────────────────────────────────────
+
+test('aliases: share the lifetime and cache of the target', async (t) => {
+    class PinoLogger { }
+    class Request { }
+    const di = new DI();
+    di.bind(PinoLogger, []);
+    di.alias('Logger', PinoLogger);
+    di.alias(di.token(PinoLogger, 'log'), 'Logger');
+
+    t.is(di.get('Logger'), di.get(PinoLogger));
+    t.is(await di.getAsync('Logger'), di.get(PinoLogger));
+    t.is(DI.runInContext(di, () => DI.get('Logger')), di.get(PinoLogger));
+    t.deepEqual({ ...di.getBinding('Logger'), resolveFunction: null }, { ...di.getBinding(PinoLogger), resolveFunction: null });
+
+    di.bind(Request, [], { scope: 'transient' });
+    di.alias('Req', Request);
+    t.not(di.get('Req'), di.get('Req'));
+    t.false(di.getBinding('Req').isSingleton);
+    t.true(di.create('Req', {}) instanceof Request);
+
+    // Rebinding the target is picked up by the alias
+    di.bind(PinoLogger, () => 'replaced');
+    t.is(di.get('Logger'), 'replaced');
+    t.throws(() => di.alias('x', 'x'), { instanceOf: InvalidBindingError });
+});
+
+test('aliases: forks follow their own view of the target', (t) => {
+    class UnitOfWork { }
+    const root = new DI();
+    root.bind(UnitOfWork, [], { scope: 'fork' });
+    root.alias('uow', UnitOfWork);
+    const req = root.fork();
+    t.is(req.get('uow'), req.get(UnitOfWork));
+    t.not(req.get('uow'), root.get('uow'));
+});
+
+test('aliases: cycles, dangling targets and captive checks', (t) => {
+    const di = new DI();
+    di.alias('a', 'b');
+    di.alias('b', 'a');
+    t.throws(() => di.get('a'), {
+        instanceOf: CircularDependencyError,
+        message: 'Circular dependency detected: a → b → a. Aliases can not point back to themselves; bind one of the keys instead.',
+    });
+
+    di.alias('dangling', 'nothing');
+    t.true(di.has('dangling'));
+    const missing = t.throws(() => di.get('dangling'), { instanceOf: MissingBindingError });
+    t.deepEqual(missing.path, ['dangling', 'nothing']);
+
+    class Request { }
+    class Service {
+        constructor(request) { this.request = request; }
+    }
+    di.strictLifetimes(true);
+    di.bind(Request, [], { scope: 'transient' });
+    di.alias('request', Request);
+    di.bind(Service, ['request']);
+    t.throws(() => di.get(Service), { message: /singleton "Service" depends on transient "Request"/ });
+});
+
+test('aliases: the graph shows alias edges with the target lifetime', (t) => {
+    class PinoLogger { }
+    class Request { }
+    class Service {
+        constructor(logger, request) { this.logger = logger; this.request = request; }
+    }
+    const di = new DI();
+    di.bind(PinoLogger, []);
+    di.bind(Request, [], { isSingleton: false });
+    di.alias('Logger', PinoLogger);
+    di.alias('request', Request);
+    di.bind(Service, ['Logger', 'request']);
+    di.alias('x', 'y');
+    di.alias('y', 'x');
+
+    const graph = di.getDependencyGraph();
+    const logger = graph.nodes.find(n => n.key === 'Logger');
+    t.is(logger.aliasOf, 'PinoLogger');
+    t.is(logger.scope, 'singleton');
+    t.deepEqual(logger.deps, [{ type: 'alias', key: 'PinoLogger' }]);
+    t.truthy(graph.edges.find(e => e.from === 'Logger' && e.to === 'PinoLogger' && e.type === 'alias'));
+    t.deepEqual(graph.warnings.map(w => [w.from, w.to]), [['Service', 'request']]);
+    t.deepEqual(graph.cycles, [['x', 'y', 'x']]);
+    t.true(di.formatDependencyGraph({ header: false }).includes('Alias<PinoLogger>'));
+});
+
+// ─── decorators ───────────────────────────────────────────────────────────────
+
+test('decorators: wrap instances in registration order', async (t) => {
+    class Repo {
+        find() { return 'row'; }
+    }
+    const calls = [];
+    const di = new DI();
+    di.decorate(Repo, function withCache(repo) {
+        calls.push('cache');
+        return { find: () => `cached(${repo.find()})` };
+    });
+    di.bind(Repo, []);
+    di.decorate(Repo, function withMetrics(repo, container) {
+        calls.push('metrics');
+        t.is(container, di);
+        return { find: () => `timed(${repo.find()})` };
+    });
+
+    t.is(di.get(Repo).find(), 'timed(cached(row))');
+    t.is(di.get(Repo), di.get(Repo));
+    t.deepEqual(calls, ['cache', 'metrics']);
+
+    const asyncDI = new DI();
+    asyncDI.bind('conn', async () => ({ open: true }));
+    asyncDI.decorate('conn', async (conn) => ({ ...conn, traced: true }));
+    t.deepEqual(await asyncDI.getAsync('conn'), { open: true, traced: true });
+
+    t.throws(() => di.decorate(Repo, 'nope'), { instanceOf: InvalidBindingError });
+});
+
+test('decorators: apply across sub-modules and forks', (t) => {
+    class Repo { }
+    class Session { }
+    const wrap = (label) => (instance) => ({ label, inner: instance });
+
+    const feature = new DI();
+    feature.bind(Repo, []);
+    const app = new DI();
+    app.subModule(feature);
+    app.decorate(Repo, wrap('app'));
+    t.is(app.get(Repo).label, 'app');
+    t.is(feature.get(Repo), app.get(Repo));
+
+    // A cross-cutting module decorating a binding of the module it is attached to
+    const metrics = new DI();
+    metrics.decorate(Session, wrap('metrics'));
+    const root = new DI();
+    root.bind(Session, [], { scope: 'fork' });
+    root.subModule(metrics);
+    const request = root.fork();
+    request.decorate(Session, wrap('request'));
+    t.is(request.get(Session).label, 'request');
+    t.is(request.get(Session).inner.label, 'metrics');
+
+    root.removeSubModule(metrics);
+    t.true(root.fork().get(Session) instanceof Session);
+});
+
+test('decorators: a shared sub-module is only decorated by the module resolving through it', async (t) => {
+    class Repo {
+        find() { return 'row'; }
+    }
+    const shared = new DI();
+    shared.bind(Repo, [], { scope: 'transient' });
+    const admin = new DI();
+    admin.subModule(shared);
+    admin.intercept(Repo, { around: () => 'denied' });
+    admin.decorate(Repo, (repo) => ({ label: 'admin', inner: repo }));
+    const shop = new DI();
+    shop.subModule(shared);
+
+    t.is(admin.get(Repo).label, 'admin');
+    t.is(admin.get(Repo).inner.find(), 'denied');
+    t.is(admin.create(Repo).label, 'admin');
+    t.is((await admin.getAsync(Repo)).label, 'admin');
+
+    t.true(shop.get(Repo) instanceof Repo);
+    t.is(shop.get(Repo).find(), 'row');
+    t.true(shop.create(Repo) instanceof Repo);
+    t.is((await shop.getAsync(Repo)).find(), 'row');
+    t.true(shared.get(Repo) instanceof Repo);
+
+    t.deepEqual(admin.getDependencyGraph().nodes[0].decorators, ['intercepted', null]);
+    t.false('decorators' in shop.getDependencyGraph().nodes[0]);
+});
+
+test('decorators: transients, create and the dependency graph', (t) => {
+    class Exporter {
+        constructor(id) { this.id = id; }
+    }
+    const di = new DI();
+    di.bind(Exporter, [di.param('id')], { scope: 'transient' });
+    di.alias('exporter', Exporter);
+    let count = 0;
+    di.decorate(Exporter, function counted(exporter) {
+        count++;
+        return exporter;
+    });
+    di.decorate(Exporter, (exporter) => Object.freeze(exporter));
+
+    t.is(di.create('exporter', { id: 1 }).id, 1);
+    t.true(Object.isFrozen(di.create(Exporter, { id: 2 })));
+    t.is(count, 2);
+
+    const node = di.getDependencyGraph().nodes.find(n => n.key === 'Exporter');
+    t.deepEqual(node.decorators, ['counted', null]);
+    t.false('decorators' in di.getDependencyGraph().nodes.find(n => n.key === 'exporter'));
+    t.true(di.formatDependencyGraph({ header: false }).includes('decorated by counted → anonymous'));
+});
+
+// ─── interceptors ─────────────────────────────────────────────────────────────
+
+test('interceptors: wrap method calls without breaking instanceof', (t) => {
+    class Calculator {
+        #factor = 2;
+        multiply(x) { return x * this.#factor; }
+        fail() { throw new Error('boom'); }
+    }
+    const log = [];
+    const di = new DI();
+    di.bind(Calculator, []);
+    di.intercept(Calculator, {
+        before: (ctx) => { log.push(`before ${ctx.method}(${ctx.args})`); },
+        after: (ctx) => { log.push(`after ${ctx.result}`); },
+        onError: (ctx) => { log.push(`error ${ctx.error.message}`); },
+    });
+    di.intercept(Calculator, {
+        around: (ctx, proceed) => {
+            ctx.args = [ctx.args[0] + 1];
+            return proceed() * 10;
+        },
+    });
+
+    const calc = di.get(Calculator);
+    t.true(calc instanceof Calculator);
+    t.is(calc.multiply, calc.multiply);
+    t.is(calc.multiply(1), 40);
+    t.throws(() => calc.fail(), { message: 'boom' });
+    t.deepEqual(log, ['before multiply(1)', 'after 40', 'before fail()', 'error boom']);
+    t.throws(() => di.intercept(Calculator, {}), { instanceOf: InvalidBindingError });
+});
+
+test('interceptors: support async methods and retries', async (t) => {
+    class Client {
+        attempts = 0;
+        async fetch() {
+            this.attempts++;
+            if (this.attempts < 3) throw new Error('flaky');
+            return 'data';
+        }
+    }
+    const retry = {
+        around: async (ctx, proceed) => {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await proceed();
+                } catch (err) {
+                    if (attempt === 3) throw err;
+                }
+            }
+        },
+    };
+    const timings = [];
+    const di = new DI();
+    di.bind(Client, []);
+    di.intercept(Client, { after: (ctx) => { timings.push(ctx.result); } });
+    di.intercept(Client, retry);
+
+    t.is(await di.get(Client).fetch(), 'data');
+    t.is(di.get(Client).attempts, 3);
+    t.deepEqual(timings, ['data']);
+    t.is((await di.getAsync(Client)).attempts, 3);
+});
+
+test('interceptors: can be removed from live instances', (t) => {
+    class Service {
+        run() { return 'ran'; }
+    }
+    const deny = { before: () => { throw new Error('forbidden'); } };
+    const di = new DI();
+    di.bind(Service, [], { scope: 'transient' });
+    di.intercept(Service, deny);
+
+    const service = di.get(Service);
+    t.throws(() => service.run(), { message: 'forbidden' });
+    di.removeInterceptor(Service, deny);
+    t.is(service.run(), 'ran');
+    t.is(di.get(Service).run(), 'ran');
+    t.deepEqual(di.getDependencyGraph().nodes[0].decorators, ['intercepted']);
+});
+
+test('interceptors: apply to every binding with a tag', async (t) => {
+    class UserRepo {
+        find() { return 'user'; }
+    }
+    class OrderRepo {
+        find() { return 'order'; }
+    }
+    class Mailer {
+        send() { return 'sent'; }
+    }
+    const calls = [];
+    const timing = { before: (ctx) => { calls.push(`${ctx.instance.constructor.name}.${ctx.method}`); } };
+    const di = new DI();
+    di.bind(UserRepo, [], { tags: ['repository'], scope: 'transient' });
+    di.intercept({ tag: 'repository' }, timing);
+    // Bindings tagged later or in sub-modules are intercepted as well
+    const orders = new DI();
+    orders.bind(OrderRepo, async () => new OrderRepo(), { tags: ['repository'] });
+    di.subModule(orders);
+    di.bind(Mailer, [], { tags: ['mail'] });
+
+    t.is(di.get(UserRepo).find(), 'user');
+    t.true(di.get(UserRepo) instanceof UserRepo);
+    t.is((await di.getAsync(OrderRepo)).find(), 'order');
+    t.is(di.get(Mailer).send(), 'sent');
+    t.deepEqual(calls, ['UserRepo.find', 'OrderRepo.find']);
+    t.deepEqual(di.getDependencyGraph().nodes.find((node) => node.key === 'UserRepo').decorators, ['intercepted']);
+    t.false('decorators' in di.getDependencyGraph().nodes.find((node) => node.key === 'Mailer'));
+
+    // A tag is not a string key
+    di.bind('repository', () => new UserRepo());
+    t.is(di.get('repository').find(), 'user');
+    t.is(calls.length, 2);
+
+    di.removeInterceptor(di.tagged('repository'), timing);
+    di.get(UserRepo).find();
+    t.is(calls.length, 2);
+
+    t.throws(() => di.intercept({ tag: '' }, timing), { instanceOf: InvalidBindingError });
+    t.throws(() => di.intercept({ tag: 'repository' }, {}), {
+        instanceOf: InvalidBindingError,
+        message: /for the tag "repository"/,
+    });
+});
+
+// ─── contextual bindings ──────────────────────────────────────────────────────
+
+test('contextual bindings: pick the implementation by consumer', async (t) => {
+    class Logger {
+        constructor(prefix = '') { this.prefix = prefix; }
+    }
+    class PrefixedLogger {
+        constructor(logger) { this.inner = logger; this.prefix = '[billing]'; }
+    }
+    class BillingService {
+        constructor(logger) { this.logger = logger; }
+    }
+    class OrderService {
+        constructor(logger) { this.logger = logger; }
+    }
+    const di = new DI();
+    di.bind(Logger, []);
+    di.bind(Logger, (di) => new PrefixedLogger(di.get(Logger)), { when: { injectedInto: BillingService } });
+    di.bind(BillingService, [Logger]);
+    di.bind(OrderService, [Logger]);
+
+    const billing = di.get(BillingService);
+    t.true(billing.logger instanceof PrefixedLogger);
+    t.is(billing.logger.inner, di.get(Logger));
+    t.is(di.get(OrderService).logger, di.get(Logger));
+    t.is(new DI().subModule(di).get(BillingService), billing);
+
+    const asyncDI = new DI();
+    asyncDI.bind(Logger, []);
+    asyncDI.bind(Logger, () => new Logger('async'), { when: { injectedInto: BillingService } });
+    asyncDI.bind(BillingService, [Logger]);
+    t.is((await asyncDI.getAsync(BillingService)).logger.prefix, 'async');
+});
+
+test('contextual bindings: a lateResolve singleton resolves its dependencies for its own consumer', (t) => {
+    class Logger {
+        constructor(name) { this.name = name; }
+    }
+    class Mailer {
+        constructor(logger) { this.logger = logger; }
+    }
+    class BillingService {
+        constructor(mailer) { this.mailerLogger = mailer.logger.name; }
+    }
+    const di = new DI();
+    di.bind(Logger, () => new Logger('default'));
+    di.bind(Logger, () => new Logger('billing'), { when: { injectedInto: BillingService } });
+    di.bind(Mailer, [Logger], { lateResolve: true });
+    di.bind(BillingService, () => new BillingService(di.get(Mailer)));
+
+    // The proxy is created outside of BillingService, but first used in its constructor
+    const mailer = di.get(Mailer);
+    t.is(di.get(BillingService).mailerLogger, 'default');
+    t.is(mailer.logger.name, 'default');
+    t.deepEqual(di.getDependencyGraph({ observed: true }).edges.filter((edge) => edge.type === 'observed'), [
+        { from: 'BillingService', to: 'Mailer', type: 'observed', isCircular: false },
+    ]);
+});
+
+test('contextual bindings: predicates receive the resolution path', (t) => {
+    class Clock { }
+    class App {
+        constructor(service) { this.service = service; }
+    }
+    class Service {
+        constructor(clock) { this.clock = clock; }
+    }
+    const paths = [];
+    const di = new DI();
+    di.bind(Clock, () => 'fake', {
+        when: function underApp(path) {
+            paths.push(path);
+            return path[0] === App;
+        },
+    });
+    di.bind(App, [Service]);
+    di.bind(Service, [Clock], { scope: 'transient' });
+
+    t.is(di.get(App).service.clock, 'fake');
+    t.deepEqual(paths, [[App, Service]]);
+    t.true(di.has(Clock));
+    t.throws(() => di.get(Service), {
+        instanceOf: MissingBindingError,
+        message: 'No binding for injectable "Clock" matches "Service": it is only bound with the "when" option. ' +
+            'Add a binding without "when" to cover the other consumers.',
+    });
+    t.throws(() => di.bind(Clock, [], { when: 'App' }), { instanceOf: InvalidBindingError });
+    t.throws(() => di.bind(Clock, [], { when: () => true, scope: 'fork' }), { instanceOf: InvalidBindingError });
+});
+
+test('contextual bindings: inline predicates are labeled by position', (t) => {
+    class Clock { }
+    class Report { }
+    class Export { }
+    const di = new DI();
+    di.bind(Clock, []);
+    di.bind(Clock, () => 'report', { when: (path) => path.includes(Report) });
+    di.bind(Clock, () => 'export', { when: function forExport(path) { return path.includes(Export); } });
+    di.bind(Clock, () => 'frozen', { when: (path) => path.length === 0 });
+
+    const nodes = di.getDependencyGraph().nodes.filter((node) => node.contextOf === 'Clock');
+    t.deepEqual(nodes.map((node) => [node.key, node.when]), [
+        ['Clock (when #1)', { predicate: null }],
+        ['Clock (when forExport)', { predicate: 'forExport' }],
+        ['Clock (when #3)', { predicate: null }],
+    ]);
+    t.true(di.validate().valid);
+});
+
+test('contextual bindings: the graph shows which consumer gets which implementation', async (t) => {
+    class Logger { }
+    class BillingService {
+        constructor(logger) { this.logger = logger; }
+    }
+    class OrderService {
+        constructor(logger) { this.logger = logger; }
+    }
+    const disposed = [];
+    const di = new DI();
+    di.bind(Logger, []);
+    di.bind(Logger, () => ({ dispose: () => disposed.push('billing logger') }), { when: { injectedInto: BillingService } });
+    di.bind(BillingService, [Logger]);
+    di.bind(OrderService, [Logger]);
+
+    const graph = di.getDependencyGraph();
+    const node = graph.nodes.find(n => n.key === 'Logger (in BillingService)');
+    t.is(node.contextOf, 'Logger');
+    t.deepEqual(node.when, { injectedInto: 'BillingService' });
+    t.deepEqual(graph.edges.map(e => [e.from, e.to]), [['BillingService', 'Logger (in BillingService)'], ['OrderService', 'Logger']]);
+    t.true(di.formatDependencyGraph().includes('Logger (in BillingService)'));
+
+    di.get(BillingService);
+    const report = await di.dispose();
+    t.deepEqual(disposed, ['billing logger']);
+    t.true(report.disposed.includes('Logger'));
+});
+
+// ─── named bindings ───────────────────────────────────────────────────────────
+
+test('named bindings: several bindings of the same injectable', (t) => {
+    class Cache {
+        constructor(ttl) { this.ttl = ttl; }
+    }
+    class SessionStore {
+        constructor(cache) { this.cache = cache; }
+    }
+    const di = new DI();
+    di.bind(Cache, [di.literal(60)]);
+    di.bind(Cache, [di.literal(3600)], { name: 'sessions' });
+    di.bind(SessionStore, [di.named(Cache, 'sessions')]);
+
+    t.is(di.get(Cache).ttl, 60);
+    t.is(di.get(di.named(Cache, 'sessions')).ttl, 3600);
+    t.is(di.get(SessionStore).cache, DI.runInContext(di, () => DI.get(DI.named(Cache, 'sessions'))));
+    t.true(di.named(Cache, 'sessions') instanceof DINamed);
+    t.true(di.has(di.named(Cache, 'sessions')));
+    t.false(di.has(di.named(Cache, 'other')));
+    t.true(di.getBinding(di.named(Cache, 'sessions')).isSingleton);
+
+    di.unbind(di.named(Cache, 'sessions'));
+    t.false(di.has(di.named(Cache, 'sessions')));
+    t.true(di.has(Cache));
+    t.throws(() => di.named(Cache, ''), { instanceOf: InvalidBindingError });
+});
+
+test('named bindings: qualified keys in errors and the graph', (t) => {
+    class Cache { }
+    class Pool { }
+    class Report {
+        constructor(cache, pool) { this.cache = cache; this.pool = pool; }
+    }
+    const di = new DI();
+    di.bind(Cache, [], { name: 'reports' });
+    di.bind(Pool, [], { name: 'reports', scope: 'transient' });
+    di.bind(Report, [di.named(Cache, 'reports'), di.lazy(di.named(Pool, 'reports'))]);
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.nodes.map(n => n.key), ['Cache#reports', 'Pool#reports', 'Report']);
+    t.deepEqual(graph.edges.map(e => e.to), ['Cache#reports', 'Pool#reports']);
+    t.true(di.formatDependencyGraph({ header: false }).includes('Cache#reports, Lazy<Pool#reports>'));
+    t.true(di.get(Report).pool instanceof Pool);
+
+    t.throws(() => di.get(di.named(Cache, 'report')), {
+        instanceOf: MissingBindingError,
+        message: 'No binding for injectable "Cache#report". Did you mean "Cache#reports"?',
+    });
+});
+
+// ─── tags ─────────────────────────────────────────────────────────────────────
+
+test('tags: resolve tagged bindings as a group', async (t) => {
+    class DbCheck { }
+    class CacheCheck { }
+    class Router { }
+    class HealthEndpoint {
+        constructor(checks) { this.checks = checks; }
+    }
+    const infra = new DI();
+    infra.bind(CacheCheck, [], { tags: ['healthcheck'] });
+    const app = new DI();
+    app.subModule(infra);
+    app.bind(DbCheck, [], { tags: ['healthcheck', 'critical'] });
+    app.bind(Router, []);
+    app.bind(HealthEndpoint, [app.tagged('healthcheck')]);
+
+    const checks = app.getTagged('healthcheck');
+    t.is(checks.length, 2);
+    t.true(checks[0] instanceof DbCheck);
+    t.is(checks[1], infra.get(CacheCheck));
+    t.deepEqual(app.get(HealthEndpoint).checks, checks);
+    t.deepEqual((await new DI().subModule(app).getAsync(HealthEndpoint)).checks, checks);
+    t.deepEqual(app.getTagged('critical'), [app.get(DbCheck)]);
+    t.deepEqual(app.getTagged('unknown'), []);
+    t.true(DI.tagged('x') instanceof DITagged);
+});
+
+test('tags: forks see the tags of their parents unless rebound', (t) => {
+    class Audit { }
+    class Metrics { }
+    const root = new DI();
+    root.bind(Audit, [], { tags: ['plugin'] });
+    root.bind(Metrics, [], { tags: ['plugin'], scope: 'fork' });
+    const fork = root.fork();
+    t.deepEqual(fork.getTagged('plugin').map(p => p.constructor), [Audit, Metrics]);
+    t.not(fork.getTagged('plugin')[1], root.getTagged('plugin')[1]);
+
+    fork.bind(Audit, () => 'untagged');
+    t.deepEqual(fork.getTagged('plugin').map(p => p.constructor), [Metrics]);
+    t.throws(() => root.bind(Audit, [], { tags: [''] }), { instanceOf: InvalidBindingError });
+    t.throws(() => root.bind(Audit, [], { tags: 'plugin' }), { instanceOf: InvalidBindingError });
+});
+
+test('tags: the graph shows node tags and tagged edges', (t) => {
+    class Route { }
+    class Other { }
+    class Server {
+        constructor(routes) { this.routes = routes; }
+    }
+    const di = new DI();
+    di.bind(Route, [], { tags: ['http-route'], scope: 'transient' });
+    di.bind(Other, [], { tags: ['http-route'] });
+    di.bind(Server, [di.tagged('http-route')]);
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.nodes[0].tags, ['http-route']);
+    t.false('tags' in graph.nodes[2]);
+    t.deepEqual(graph.nodes[2].deps, [{ type: 'tagged', tag: 'http-route' }]);
+    t.deepEqual(graph.edges.map(e => [e.from, e.to, e.type]), [['Server', 'Route', 'tagged'], ['Server', 'Other', 'tagged']]);
+    t.deepEqual(graph.warnings.map(w => w.to), ['Route']);
+    const text = di.formatDependencyGraph({ header: false });
+    t.true(text.includes('Tagged<http-route>'));
+    t.true(text.includes('tags: http-route'));
+});
+
+// ─── observed dependencies ────────────────────────────────────────────────────
+
+test('observed dependencies: custom factories record what they resolve', (t) => {
+    class Config { }
+    class Pool { }
+    class Repo { }
+    const di = new DI();
+    di.bind(Config, []);
+    di.bind(Pool, () => ({ resolver: di.getResolver(Config) }));
+    di.bind(Repo, (di) => ({ pool: di.get(Pool), config: di.getAll(Config) }));
+
+    // Nothing is recorded before the factories run
+    const before = di.getDependencyGraph({ observed: true });
+    t.is(before.nodes.find(n => n.key === 'Repo').deps, null);
+    t.false('observed' in before.nodes.find(n => n.key === 'Repo'));
+
+    di.get(Repo);
+    const declared = di.getDependencyGraph();
+    t.false('observed' in declared.nodes.find(n => n.key === 'Repo'));
+    t.deepEqual(declared.edges, []);
+
+    const graph = di.getDependencyGraph({ observed: true });
+    const repo = graph.nodes.find(n => n.key === 'Repo');
+    t.is(repo.deps, null);
+    t.deepEqual(repo.observed, ['Pool', 'Config']);
+    t.deepEqual(graph.edges.map(e => [e.from, e.to, e.type]), [
+        ['Pool', 'Config', 'observed'],
+        ['Repo', 'Pool', 'observed'],
+        ['Repo', 'Config', 'observed'],
+    ]);
+    t.true(di.formatDependencyGraph({ observed: true, header: false }).includes('(custom initializer - observed: Pool, Config)'));
+    t.true(di.formatDependencyGraph({ header: false }).includes('(custom initializer - unknown deps)'));
+});
+
+test('observed dependencies: observed edges take part in cycles and warnings', (t) => {
+    class Clock { }
+    class Scheduler { }
+    class A { }
+    class B {
+        constructor(a) { this.a = a; }
+    }
+    const di = new DI();
+    di.bind(Clock, [], { scope: 'transient' });
+    di.bind(Scheduler, (di) => ({ clock: di.get(Clock), tasks: di.get(B) }));
+    di.bind(A, (di) => ({ resolver: di.getResolver(B) }));
+    di.bind(B, [A]);
+
+    di.get(Scheduler);
+    const graph = DI.getDependencyGraph(di, { observed: true });
+    t.deepEqual(graph.warnings.map(w => [w.from, w.to]), [['Scheduler', 'Clock']]);
+    t.deepEqual(graph.cycles, [['B', 'A', 'B']]);
+    t.deepEqual(di.getDependencyGraph().cycles, []);
+});
+
+test('observed dependencies: lazy proxies, providers and resolvers are not observed by the running factory', (t) => {
+    class Clock { }
+    class Audit { }
+    class Mailer { }
+    class Jobs {
+        constructor(clock, audit) { this.clock = clock; this.audit = audit; }
+    }
+    const di = new DI();
+    di.bind(Clock, []);
+    di.bind(Audit, []);
+    di.bind(Mailer, []);
+    di.bind(Jobs, [di.lazy(Clock), di.provider(Audit)]);
+    const resolver = di.getResolver(Mailer);
+    const jobs = di.get(Jobs);
+    di.bind('report', (di) => {
+        jobs.clock.toString();
+        jobs.audit();
+        resolver.get();
+        return di.get(Clock);
+    });
+
+    di.get('report');
+    t.deepEqual(di.getDependencyGraph({ observed: true }).nodes.find((node) => node.key === 'report').observed, ['Clock']);
+});
+
+test('observed dependencies: async factories record what they resolve', async (t) => {
+    class Config { }
+    class Pool { }
+    class Cache { }
+    class Repo {
+        constructor(di) { this.di = di; }
+    }
+    const di = new DI();
+    di.bind(Config, []);
+    di.bind(Pool, async () => new Pool());
+    di.bind(Cache, []);
+    di.bind(Repo, async (di) => {
+        await di.getAsync(Pool);
+        di.get(Config);
+        return new Repo(di);
+    });
+
+    const repo = await di.getAsync(Repo);
+    // Once the factory settled, the DI it received no longer resolves for it
+    repo.di.get(Cache);
+    t.deepEqual(di.getDependencyGraph({ observed: true }).nodes.find((node) => node.key === 'Repo').observed, ['Pool', 'Config']);
+    t.true(repo.di instanceof DI);
+});
+
+// ─── declared factory dependencies ────────────────────────────────────────────
+
+test.serial('deps option: factory dependencies are part of the graph', (t) => {
+    class Pool { }
+    class Cache { }
+    class Repo { }
+    const di = new DI();
+    di.bind(Pool, []);
+    di.bind(Cache, [], { tags: ['store'] });
+    di.bind(Repo, (di) => ({ pool: di.get(Pool), stores: di.getTagged('store') }), {
+        deps: [Pool, di.tagged('store')],
+    });
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+        di.get(Repo);
+    } finally {
+        console.warn = warn;
+    }
+    t.deepEqual(warnings, []);
+
+    const graph = di.getDependencyGraph({ observed: true });
+    const repo = graph.nodes.find(n => n.key === 'Repo');
+    t.deepEqual(repo.deps, [{ key: 'Pool', type: 'injectable' }, { type: 'tagged', tag: 'store' }]);
+    t.false('observed' in repo);
+    t.deepEqual(graph.edges.filter(e => e.from === 'Repo').map(e => [e.to, e.type]), [
+        ['Pool', 'injectable'],
+        ['Cache', 'tagged'],
+    ]);
+});
+
+test.serial('deps option: undeclared keys are warned about once, outside of production', (t) => {
+    class Pool { }
+    class Clock { }
+    class Repo { }
+    const di = new DI();
+    di.bind(Pool, []);
+    di.bind(Clock, [], { scope: 'transient' });
+    di.bind(Repo, (di) => ({ pool: di.get(Pool), clock: di.get(Clock) }), { deps: [Pool], scope: 'transient' });
+
+    const warn = console.warn;
+    const env = process.env.NODE_ENV;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+        di.get(Repo);
+        di.get(Repo);
+        t.deepEqual(warnings, [
+            'mini-inject: the binding function of "Repo" requested "Clock", which is missing from its "deps" option.',
+        ]);
+
+        const production = new DI();
+        production.bind(Repo, (di) => di.get(Pool), { deps: [] });
+        production.bind(Pool, []);
+        process.env.NODE_ENV = 'production';
+        production.get(Repo);
+        t.is(warnings.length, 1);
+    } finally {
+        console.warn = warn;
+        if (env === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = env;
+    }
+    t.deepEqual(di.getDependencyGraph({ observed: true }).nodes.find(n => n.key === 'Repo').observed, ['Clock']);
+});
+
+test('deps option: only lists dependencies of binding functions', (t) => {
+    class Pool { }
+    class Repo {
+        constructor(pool) { this.pool = pool; }
+    }
+    const di = new DI();
+    let error = t.throws(() => di.bind(Repo, [Pool], { deps: [Pool] }), { instanceOf: InvalidBindingError });
+    t.regex(error.message, /only for binding functions/);
+    error = t.throws(() => di.bind(Repo, () => new Repo(), { deps: Pool }), { instanceOf: InvalidBindingError });
+    t.regex(error.message, /expects an array, got function/);
+    error = t.throws(() => di.bind(Repo, () => new Repo(), { deps: [di.param('pool')] }), { instanceOf: InvalidBindingError });
+    t.is(error.key, Repo);
+    t.false(di.has(Repo));
+});
+
+// ─── validation ───────────────────────────────────────────────────────────────
+
+test('validate: reports missing bindings and invalid dependencies without instantiating', (t) => {
+    class Pool { }
+    class Cache { }
+    let created = 0;
+    class Repo {
+        constructor() { created++; }
+    }
+    class Service { }
+    const settings = new DI();
+    settings.bind('settings', (di) => ({ pool: di.get(Pool) }), { deps: [Pool] });
+    const di = new DI();
+    di.subModule(settings);
+    di.bind(Repo, [Pool, di.optional(Cache), di.lazy('clock'), undefined]);
+    di.bind(Service, [Repo]);
+    di.alias('Database', 'Db');
+
+    const report = di.validate();
+    t.false(report.valid);
+    t.is(created, 0);
+    t.deepEqual(report.issues.map(issue => [issue.type, issue.key, issue.dependency ?? issue.index]), [
+        ['missing-binding', 'Repo', 'Pool'],
+        ['missing-binding', 'Repo', 'clock'],
+        ['invalid-dependency', 'Repo', 3],
+        ['missing-binding', 'Database', 'Db'],
+        ['missing-binding', 'settings', 'Pool'],
+    ]);
+    t.is(report.issues[2].message, 'Dependency 3 of "Repo" is not an injectable or marker, got undefined');
+
+    settings.bind(Pool, []);
+    di.bind(Repo, [Pool, di.optional(Cache), di.provider(Service)]);
+    di.bind('Db', () => ({}), { scope: 'transient' });
+    t.deepEqual(di.validate(), { valid: true, issues: [] });
+});
+
+test('validate: reports cycles that lateResolve or auto mode do not break', (t) => {
+    class A { }
+    class B { }
+    class C { }
+    const di = new DI();
+    di.bind(A, [B]);
+    di.bind(B, [A]);
+    di.bind(C, [C], { scope: 'transient' });
+
+    const error = t.throws(() => di.validate({ throwOnError: true }), { instanceOf: ValidationError });
+    t.is(error.code, 'ERR_DI_VALIDATION_FAILED');
+    t.deepEqual(error.issues.map(issue => issue.cycle), [['A', 'B', 'A'], ['C', 'C']]);
+    t.regex(error.message, /Validation found 2 issue\(s\):\n {2}- Circular dependency detected: A → B → A\. Use "lateResolve: true"/);
+    t.regex(error.issues[1].message, /Transient bindings can not be proxied/);
+
+    di.bind(B, [A], { lateResolve: true });
+    t.deepEqual(di.validate().issues.map(issue => issue.cycle), [['C', 'C']]);
+    di.bind(B, [A]);
+    di.autoResolveCircularDependencies(true);
+    t.deepEqual(di.validate().issues.map(issue => issue.cycle), [['C', 'C']]);
+});
+
+test('validate: follows fork parents, contextual bindings and tags', (t) => {
+    class Logger { }
+    class Billing { }
+    class Audit { }
+    class Session { }
+    const parent = new DI();
+    parent.bind(Logger, [], { when: { injectedInto: Billing } });
+    parent.bind(Billing, [Logger]);
+    parent.bind(Audit, [Logger, parent.tagged('plugins')]);
+    parent.bind(Session, ['user'], { scope: 'fork' });
+    const fork = parent.fork();
+
+    t.deepEqual(fork.validate().issues.map(issue => [issue.key, issue.dependency]), [
+        ['Audit', 'Logger'],
+        ['Session', 'user'],
+    ]);
+    t.regex(fork.validate().issues[0].message, /matches "Audit": it is only bound with the "when" option/);
+
+    fork.bind('user', () => ({ name: 'ada' }));
+    parent.bind(Logger, []);
+    t.true(fork.validate().valid);
+    t.false(parent.validate().valid);
+});
+
+// ─── missing dependencies in the graph ────────────────────────────────────────
+
+test('dependency graph: edges to unbound keys are kept and reported as missing', (t) => {
+    class Pool { }
+    class Clock { }
+    class Cache { }
+    class Repo { }
+    const di = new DI();
+    di.bind(Repo, [Pool, di.lazy(Clock), di.optional(Cache)]);
+    di.bind(Pool, () => ({}), { deps: ['url'] });
+    di.alias('Database', 'Db');
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.edges, [
+        { from: 'Repo', to: 'Pool', type: 'injectable', isCircular: false },
+        { from: 'Repo', to: 'Clock', type: 'lazy', isCircular: false, isMissing: true },
+        { from: 'Pool', to: 'url', type: 'injectable', isCircular: false, isMissing: true },
+        { from: 'Database', to: 'Db', type: 'alias', isCircular: false, isMissing: true },
+    ]);
+    t.deepEqual(graph.missing, [
+        { from: 'Repo', to: 'Clock', type: 'lazy', message: '"Repo" depends on "Clock", which is not bound' },
+        { from: 'Pool', to: 'url', type: 'injectable', message: '"Pool" depends on "url", which is not bound' },
+        { from: 'Database', to: 'Db', type: 'alias', message: '"Database" depends on "Db", which is not bound' },
+    ]);
+    t.deepEqual(graph.cycles, []);
+});
+
+test('dependency graph: contextual bindings only count for the consumers they match', (t) => {
+    class Logger { }
+    class Billing { }
+    class Audit { }
+    class Metrics { }
+    const di = new DI();
+    di.bind(Logger, [], { when: { injectedInto: Billing } });
+    di.bind(Metrics, [], { when: function inTests() { return true; } });
+    di.bind(Billing, [Logger, Metrics]);
+    di.bind(Audit, [Logger]);
+
+    const graph = di.getDependencyGraph();
+    t.deepEqual(graph.missing.map(entry => [entry.from, entry.to]), [['Audit', 'Logger']]);
+    t.true(graph.edges.some(edge => edge.from === 'Billing' && edge.to === 'Logger (in Billing)' && !edge.isMissing));
+});
+
+test('dependency graph: the text report highlights missing dependencies', (t) => {
+    class Pool { }
+    class Repo { }
+    const di = new DI();
+    di.bind(Repo, [Pool]);
+
+    const text = di.formatDependencyGraph();
+    t.true(text.startsWith('mini-inject dependency graph — 1 binding(s), 0 cycle(s), 1 missing'));
+    t.true(text.split('\n').find(line => line.startsWith('Repo')).endsWith('Pool  ⚠ MISSING: Pool'));
+    t.true(text.endsWith('Missing bindings:\n  [1] "Repo" depends on "Pool", which is not bound'));
+    t.false(di.formatDependencyGraph({ header: false }).includes('Missing bindings:'));
+
+    di.bind(Pool, []);
+    t.false(di.formatDependencyGraph().includes('MISSING'));
+});
+
+// ─── fork parents in the graph ────────────────────────────────────────────────
+
+test('dependency graph: parents adds the bindings of fork parents', (t) => {
+    class DbPool { }
+    class Repo { }
+    class Request { }
+    class Handler { }
+    const app = new DI();
+    app.bind(DbPool, []);
+    app.bind(Repo, [DbPool]);
+    const request = app.fork();
+    request.bind(Request, []);
+    request.bind(Handler, [Request, Repo]);
+    const child = request.fork();
+
+    // Without parents, the fork's dependencies on its parents are inherited, not missing
+    t.deepEqual(request.getDependencyGraph().missing, []);
+
+    const graph = child.getDependencyGraph({ parents: true });
+    t.deepEqual(graph.nodes.map(node => [node.key, node.origin]), [
+        ['Request', 'parent'],
+        ['Handler', 'parent'],
+        ['DbPool', 'parent'],
+        ['Repo', 'parent'],
+    ]);
+    t.deepEqual(graph.missing, []);
+    t.deepEqual(graph.edges.map(edge => [edge.from, edge.to]), [
+        ['Handler', 'Request'],
+        ['Handler', 'Repo'],
+        ['Repo', 'DbPool'],
+    ]);
+    t.false('origin' in request.getDependencyGraph().nodes[0]);
+});
+
+test('dependency graph: the graph of a fork flags the bindings it inherits', (t) => {
+    class DbPool { }
+    class Metrics { }
+    class Repo { }
+    class Handler { }
+    const app = new DI();
+    const plugins = new DI();
+    plugins.bind(Metrics, []);
+    app.bind(DbPool, []);
+    app.subModule(plugins);
+    const request = app.fork();
+    const child = request.fork();
+    child.bind(Handler, [Repo, DbPool, Metrics]);
+
+    const graph = child.getDependencyGraph();
+    t.deepEqual(graph.edges, [
+        { from: 'Handler', to: 'Repo', type: 'injectable', isCircular: false, isMissing: true },
+        { from: 'Handler', to: 'DbPool', type: 'injectable', isCircular: false, isInherited: true },
+        { from: 'Handler', to: 'Metrics', type: 'injectable', isCircular: false, isInherited: true },
+    ]);
+    t.deepEqual(graph.missing.map(entry => entry.to), ['Repo']);
+    t.true(child.formatDependencyGraph({ header: false }).endsWith('⚠ MISSING: Repo'));
+    t.false(child.getDependencyGraph({ parents: true }).edges.some(edge => edge.isInherited));
+});
+
+test('dependency graph: overridden parent bindings are shown as shadowed', (t) => {
+    class Logger { }
+    class Tracer { }
+    class Service { }
+    const app = new DI();
+    app.bind(Tracer, []);
+    app.bind(Logger, [Tracer]);
+    app.bind(Service, [Logger]);
+    const test = app.fork();
+    test.bind(Logger, () => ({ lines: [] }));
+
+    const graph = test.getDependencyGraph({ parents: true });
+    const shadowed = graph.nodes.find(node => node.key === 'Logger (shadowed)');
+    t.like(shadowed, { origin: 'parent', shadowed: true, deps: [{ type: 'injectable', key: 'Tracer' }] });
+    t.like(graph.nodes.find(node => node.key === 'Logger'), { origin: 'fork', deps: null });
+    t.false(graph.edges.some(edge => edge.from === 'Logger (shadowed)' || edge.to === 'Logger (shadowed)'));
+    t.true(graph.edges.some(edge => edge.from === 'Service' && edge.to === 'Logger'));
+});
+
+test('dependency graph: shadowed nodes keep their tags, decorators and conditions', (t) => {
+    class Logger { }
+    class Billing { }
+    const app = new DI();
+    app.bind(Logger, [], { tags: ['log'] });
+    app.bind(Logger, [], { when: { injectedInto: Billing } });
+    app.decorate(Logger, function traced(logger) { return logger; });
+    const test = app.fork();
+    test.bind(Logger, []);
+    test.bind(Logger, [], { when: { injectedInto: Billing } });
+
+    const graph = test.getDependencyGraph({ parents: true });
+    t.like(graph.nodes.find(node => node.key === 'Logger (shadowed)'), {
+        origin: 'parent',
+        shadowed: true,
+        tags: ['log'],
+        decorators: ['traced'],
+    });
+    t.like(graph.nodes.find(node => node.key === 'Logger (in Billing) (shadowed)'), {
+        origin: 'parent',
+        shadowed: true,
+        contextOf: 'Logger',
+        when: { injectedInto: 'Billing' },
+        decorators: ['traced'],
+    });
+    t.false(graph.nodes.some(node => node.shadowed && node.origin !== 'parent'));
+});
+
+test('dependency graph: the graph of a root module has no fork origin', (t) => {
+    class Pool { }
+    class Cache { }
+    const app = new DI();
+    const plugins = new DI();
+    plugins.bind(Cache, []);
+    app.bind(Pool, []);
+    app.subModule(plugins);
+
+    t.deepEqual(app.getDependencyGraph({ parents: true }).nodes.map(node => [node.key, node.origin]), [
+        ['Pool', 'root'],
+        ['Cache', 'sub-module'],
+    ]);
+    t.deepEqual(app.fork().getDependencyGraph({ parents: true }).nodes.map(node => node.origin), ['parent', 'parent']);
+    t.false(app.formatDependencyGraph({ parents: true, header: false }).includes('(root)'));
+});
+
+test('dependency graph: the text report labels where bindings come from', (t) => {
+    class Pool { }
+    class Cache { }
+    const app = new DI();
+    const plugins = new DI();
+    plugins.bind(Cache, []);
+    app.bind(Pool, []);
+    app.subModule(plugins);
+    const request = app.fork();
+    request.bind(Pool, []);
+
+    const rows = request.formatDependencyGraph({ parents: true, header: false }).split('\n');
+    t.deepEqual(rows.map(row => row.trimEnd()), [
+        'Pool             [singleton]',
+        'Pool (shadowed)  [singleton]                 (parent, shadowed)',
+        'Cache            [singleton]                 (parent)',
+    ]);
+    t.false(request.formatDependencyGraph({ header: false }).includes('Cache'));
 });